@@ -0,0 +1,167 @@
+// Backfill Script for Product Hunt
+// Walks every daily leaderboard between a start and end date (inclusive)
+// and runs the scraper once per day, writing one CSV per leaderboard date.
+// Days that already have an output file are skipped, so the script can be
+// re-run after a crash or an outage and will only fill in the gaps. A past
+// day with no products gets a CSV with just the header, so it is skipped too.
+//
+// Usage: node backfill.js <start YYYY-MM-DD> <end YYYY-MM-DD> [output directory] [--setting=value ...]
+
+const puppeteer = require('puppeteer');
+const fs = require('fs');
+const path = require('path');
+const { createObjectCsvWriter } = require('csv-writer');
+const { loadConfig, formatConfig, parseArgs } = require('./config');
+const { scrapeProductHunt } = require('./scraper');
+const { PRODUCT_CSV_HEADER } = require('./outputRows');
+const { delay, formatDate, buildLeaderboardUrl, getBrowserLaunchOptions } = require('./utils');
+
+// Function to parse a YYYY-MM-DD argument into a local date
+function parseDateArg(value) {
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value || '');
+  if (!match) return null;
+
+  const date = new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+
+  // Reject dates like 2025-02-31 that JavaScript silently rolls over
+  if (date.getMonth() !== parseInt(match[2], 10) - 1) return null;
+
+  return date;
+}
+
+// Function to list every day between two dates (inclusive)
+function getDaysInRange(startDate, endDate) {
+  const days = [];
+  const current = new Date(startDate);
+
+  while (current.getTime() <= endDate.getTime()) {
+    days.push(new Date(current));
+    current.setDate(current.getDate() + 1);
+  }
+
+  return days;
+}
+
+// Function to mark a day with no products as done - a CSV with only the header
+async function writeEmptyDay(outputPath) {
+  const csvWriter = createObjectCsvWriter({ path: outputPath, header: PRODUCT_CSV_HEADER });
+  await csvWriter.writeRecords([]);
+}
+
+// Function to run the scraper for every day in the range
+// Same settings as index.js; config.delayBetweenDays pauses between two
+// leaderboard days so we don't hammer Product Hunt
+async function backfill(startDate, endDate, outputDir, config = loadConfig({ argv: [] })) {
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    console.log(`Created output directory at ${outputDir}`);
+  }
+
+  const days = getDaysInRange(startDate, endDate);
+  console.log(`Backfilling ${days.length} days from ${formatDate(startDate)} to ${formatDate(endDate)}`);
+
+  const summary = { scraped: [], skipped: [], empty: [], failed: [] };
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  let browser;
+
+  try {
+    browser = await puppeteer.launch(getBrowserLaunchOptions(config.headless));
+
+    for (let i = 0; i < days.length; i++) {
+      const day = formatDate(days[i]);
+      const outputPath = path.join(outputDir, `product_hunt_data_${day}.csv`);
+
+      if (fs.existsSync(outputPath)) {
+        console.log(`[${i + 1}/${days.length}] ${day} already done (${outputPath}), skipping`);
+        summary.skipped.push(day);
+        continue;
+      }
+
+      const targetUrl = buildLeaderboardUrl('daily', days[i]);
+      console.log(`[${i + 1}/${days.length}] Scraping ${day}: ${targetUrl}`);
+
+      try {
+        const writtenPath = await scrapeProductHunt(browser, {
+          ...config,
+          targetUrl,
+          outputPath
+        });
+
+        if (writtenPath) {
+          summary.scraped.push(day);
+        } else {
+          summary.empty.push(day);
+          // Today's leaderboard may still fill up, so only past days are marked done
+          if (days[i].getTime() < today.getTime()) {
+            await writeEmptyDay(outputPath);
+          }
+        }
+      } catch (error) {
+        // Keep going - the day has no output file, so the next run retries it
+        console.error(`Error backfilling ${day}: ${error.message}`);
+        summary.failed.push(day);
+      }
+
+      if (i < days.length - 1) {
+        await delay(config.delayBetweenDays);
+      }
+    }
+  } finally {
+    if (browser) {
+      try {
+        await browser.close();
+      } catch (closeError) {
+        console.error(`Error closing browser: ${closeError.message}`);
+      }
+    }
+  }
+
+  console.log(`Backfill finished: ${summary.scraped.length} scraped, ${summary.skipped.length} skipped, ${summary.empty.length} empty, ${summary.failed.length} failed`);
+  if (summary.empty.length > 0) {
+    console.log(`Days with no products: ${summary.empty.join(', ')}`);
+  }
+  if (summary.failed.length > 0) {
+    console.log(`Failed days (re-run to retry): ${summary.failed.join(', ')}`);
+  }
+
+  return summary;
+}
+
+// If script is run directly, process command line arguments
+if (require.main === module) {
+  const { positionals } = parseArgs(process.argv.slice(2));
+  const startDate = parseDateArg(positionals[0]);
+  const endDate = parseDateArg(positionals[1]);
+  const outputDir = path.resolve(positionals[2] || path.join(__dirname, 'backfill'));
+
+  if (!startDate || !endDate) {
+    console.log('Usage: node backfill.js <start YYYY-MM-DD> <end YYYY-MM-DD> [output directory] [--setting=value ...]');
+    process.exit(1);
+  }
+
+  let config;
+  try {
+    config = loadConfig();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  console.log(`Configuration:\n${formatConfig(config)}`);
+
+  if (startDate.getTime() > endDate.getTime()) {
+    console.log('Start date must not be after end date');
+    process.exit(1);
+  }
+
+  backfill(startDate, endDate, outputDir, config)
+    .then(summary => {
+      process.exit(summary.failed.length > 0 ? 1 : 0);
+    })
+    .catch(err => {
+      console.error(err);
+      process.exit(1);
+    });
+} else {
+  module.exports = { backfill };
+}
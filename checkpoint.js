@@ -0,0 +1,173 @@
+// Checkpoint Module
+// Persists per-product progress of a scraping run to disk so that a crashed
+// or interrupted run can pick up where it stopped instead of starting over.
+const fs = require('fs');
+const path = require('path');
+
+const STATUS = {
+  PENDING: 'pending',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+/**
+ * Get the checkpoint file path for a target URL
+ * @param {string} checkpointDir - Directory holding checkpoint files
+ * @param {string} targetUrl - Leaderboard URL being scraped
+ * @returns {string} - Path of the checkpoint file
+ */
+function getCheckpointPath(checkpointDir, targetUrl) {
+  const slug = targetUrl
+    .replace(/^https?:\/\/(www\.)?producthunt\.com\//, '')
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+  return path.join(checkpointDir, `checkpoint_${slug || 'default'}.json`);
+}
+
+/**
+ * Write the checkpoint to disk atomically (temp file + rename) so a crash
+ * while saving never leaves a half-written checkpoint behind
+ * @param {Object} checkpoint - Checkpoint state
+ */
+function saveCheckpoint(checkpoint) {
+  checkpoint.updatedAt = new Date().toISOString();
+
+  const tempPath = `${checkpoint.filePath}.tmp`;
+  const { filePath, ...data } = checkpoint;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Load the checkpoint for a target URL if one exists
+ * @param {string} checkpointDir - Directory holding checkpoint files
+ * @param {string} targetUrl - Leaderboard URL being scraped
+ * @returns {Object|null} - Checkpoint state or null if there is nothing to resume
+ */
+function loadCheckpoint(checkpointDir, targetUrl) {
+  const filePath = getCheckpointPath(checkpointDir, targetUrl);
+  if (!fs.existsSync(filePath)) return null;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (data.targetUrl !== targetUrl || !Array.isArray(data.products)) {
+      console.log(`Ignoring checkpoint ${filePath}: it belongs to a different target`);
+      return null;
+    }
+
+    return { ...data, filePath };
+  } catch (error) {
+    console.error(`Error reading checkpoint ${filePath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Create a new checkpoint with every product pending
+ * @param {string} checkpointDir - Directory holding checkpoint files
+ * @param {string} targetUrl - Leaderboard URL being scraped
+ * @param {Array} products - Products to process ({ name, url, ... })
+ * @returns {Object} - Checkpoint state
+ */
+function createCheckpoint(checkpointDir, targetUrl, products) {
+  if (!fs.existsSync(checkpointDir)) {
+    fs.mkdirSync(checkpointDir, { recursive: true });
+  }
+
+  const checkpoint = {
+    filePath: getCheckpointPath(checkpointDir, targetUrl),
+    targetUrl,
+    createdAt: new Date().toISOString(),
+    updatedAt: null,
+    products: products.map(product => ({
+      product,
+      status: STATUS.PENDING,
+      rows: [],
+      commentRows: [],
+      error: ''
+    }))
+  };
+
+  saveCheckpoint(checkpoint);
+  return checkpoint;
+}
+
+/**
+ * Record the outcome of one product and save the checkpoint
+ * @param {Object} checkpoint - Checkpoint state
+ * @param {string} productUrl - URL of the processed product
+ * @param {string} status - One of STATUS.DONE or STATUS.FAILED
+ * @param {Object} result - What the product produced
+ * @param {Array} result.rows - Output rows for the product
+ * @param {Array} result.commentRows - Comment rows for the product
+ * @param {string} result.error - Error message for failed products
+ */
+function updateProduct(checkpoint, productUrl, status, result = {}) {
+  const entry = checkpoint.products.find(item => item.product.url === productUrl);
+  if (!entry) {
+    throw new Error(`Product ${productUrl} is not part of checkpoint ${checkpoint.filePath}`);
+  }
+
+  entry.status = status;
+  entry.rows = result.rows || [];
+  entry.commentRows = result.commentRows || [];
+  entry.error = result.error || '';
+
+  saveCheckpoint(checkpoint);
+}
+
+/**
+ * Get the entries that still need processing (pending, plus failed ones to retry)
+ * @param {Object} checkpoint - Checkpoint state
+ * @returns {Array} - Checkpoint entries
+ */
+function getRemainingProducts(checkpoint) {
+  return checkpoint.products.filter(item => item.status !== STATUS.DONE);
+}
+
+/**
+ * Collect the output rows of every processed product, in leaderboard order
+ * @param {Object} checkpoint - Checkpoint state
+ * @param {string} key - Which rows to collect ('rows' or 'commentRows')
+ * @returns {Array} - Output rows
+ */
+function getAllRows(checkpoint, key = 'rows') {
+  return checkpoint.products.reduce((rows, item) => rows.concat(item[key] || []), []);
+}
+
+/**
+ * Count products per status
+ * @param {Object} checkpoint - Checkpoint state
+ * @returns {Object} - { pending, done, failed }
+ */
+function getProgress(checkpoint) {
+  const progress = { pending: 0, done: 0, failed: 0 };
+  checkpoint.products.forEach(item => {
+    progress[item.status]++;
+  });
+  return progress;
+}
+
+/**
+ * Delete the checkpoint once the run has been written out
+ * @param {Object} checkpoint - Checkpoint state
+ */
+function removeCheckpoint(checkpoint) {
+  if (fs.existsSync(checkpoint.filePath)) {
+    fs.unlinkSync(checkpoint.filePath);
+  }
+}
+
+module.exports = {
+  STATUS,
+  getCheckpointPath,
+  loadCheckpoint,
+  createCheckpoint,
+  updateProduct,
+  getRemainingProducts,
+  getAllRows,
+  getProgress,
+  removeCheckpoint
+};
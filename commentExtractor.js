@@ -0,0 +1,158 @@
+// Comment Extractor Module
+// Collects the launch comment thread from a product page: who commented,
+// what they said, how many upvotes it got and whether a maker replied.
+const { delay, cleanText } = require('./utils');
+
+/**
+ * Expand the comment thread by clicking "show more" style buttons
+ * @param {Object} page - Puppeteer page object (already on the product page)
+ * @param {number} maxClicks - Maximum number of times to load more comments
+ */
+async function loadAllComments(page, maxClicks) {
+  for (let i = 0; i < maxClicks; i++) {
+    const clicked = await page.evaluate(() => {
+      const button = Array.from(document.querySelectorAll('button, a')).find(el => {
+        const text = el.textContent.toLowerCase().trim();
+        return /^(see|show|load|view) (more|all|\d+ more)( comments| replies)?/.test(text) ||
+               /^\d+ more (comments|replies)$/.test(text);
+      });
+
+      if (button) {
+        button.click();
+        return true;
+      }
+      return false;
+    });
+
+    if (!clicked) break;
+
+    // Give the next batch of comments time to render
+    await delay(1500);
+  }
+}
+
+/**
+ * Extract the comment thread from a product page
+ * @param {Object} page - Puppeteer page object (already on the product page)
+ * @param {Object} options - Extraction options
+ * @param {Array} options.makerUrls - Profile URLs of the product's makers
+ * @param {number} options.maxComments - Maximum number of comments to return (0 skips extraction)
+ * @returns {Array} - Comments ({ author, authorUrl, text, upvotes, isReply, isMakerComment, makerReplied })
+ */
+async function extractComments(page, options = {}) {
+  const makerUrls = options.makerUrls || [];
+  const maxComments = options.maxComments ?? 100;
+
+  // Nothing to collect - skip the scrolling and "load more" clicks
+  if (maxComments === 0) return [];
+
+  try {
+    // Scroll down so the lazy-loaded discussion section renders
+    await page.evaluate('window.scrollTo(0, document.body.scrollHeight)');
+    await delay(2000);
+
+    await loadAllComments(page, 10);
+
+    const comments = await page.evaluate(makerPaths => {
+      // Every comment has a "Reply" button - the closest ancestor that also
+      // holds a profile link is the comment's container
+      const replyButtons = Array.from(document.querySelectorAll('button, a')).filter(el =>
+        el.textContent.trim().toLowerCase() === 'reply'
+      );
+
+      const containers = [];
+      replyButtons.forEach(button => {
+        let el = button.parentElement;
+        while (el && el !== document.body && !el.querySelector('a[href^="/@"]')) {
+          el = el.parentElement;
+        }
+        if (el && el !== document.body && !containers.includes(el)) {
+          containers.push(el);
+        }
+      });
+
+      // Tag the containers so nested replies can be told apart from their parents
+      containers.forEach((el, index) => el.setAttribute('data-phs-comment', String(index)));
+
+      const findParent = el => {
+        const parent = el.parentElement ? el.parentElement.closest('[data-phs-comment]') : null;
+        return parent ? parseInt(parent.getAttribute('data-phs-comment'), 10) : -1;
+      };
+
+      const results = containers.map((el, index) => {
+        const authorLink = el.querySelector('a[href^="/@"]');
+        const authorPath = authorLink ? authorLink.getAttribute('href').split('?')[0] : '';
+
+        // Strip nested replies, buttons and the author link to leave the comment body
+        const clone = el.cloneNode(true);
+        clone.querySelectorAll('[data-phs-comment], button, a[href^="/@"]').forEach(node => node.remove());
+        const text = clone.textContent;
+
+        // The upvote button shows the vote count as its only number
+        let upvotes = 0;
+        const ownButtons = Array.from(el.querySelectorAll('button')).filter(button =>
+          button.closest('[data-phs-comment]') === el
+        );
+        for (const button of ownButtons) {
+          const match = button.textContent.trim().match(/^(?:upvote\s*)?\(?(\d+)\)?$/i);
+          if (match) {
+            upvotes = parseInt(match[1], 10);
+            break;
+          }
+        }
+
+        // A "Maker" badge next to the author name marks maker comments
+        const badges = Array.from(el.querySelectorAll('span, div')).filter(node =>
+          node.closest('[data-phs-comment]') === el && node.textContent.trim() === 'Maker'
+        );
+
+        return {
+          index,
+          parent: findParent(el),
+          author: authorLink ? authorLink.textContent : '',
+          authorPath,
+          text,
+          upvotes,
+          isMakerComment: badges.length > 0 || makerPaths.includes(authorPath)
+        };
+      });
+
+      containers.forEach(el => el.removeAttribute('data-phs-comment'));
+      return results;
+    }, makerUrls.map(url => url.replace('https://www.producthunt.com', '')));
+
+    // A comment counts as answered when any reply below it came from a maker
+    const makerReplied = new Set();
+    comments.forEach(comment => {
+      if (!comment.isMakerComment) return;
+      let parent = comment.parent;
+      while (parent !== -1) {
+        makerReplied.add(parent);
+        parent = comments[parent].parent;
+      }
+    });
+
+    const thread = comments
+      .filter(comment => comment.author || comment.text)
+      .slice(0, maxComments)
+      .map(comment => ({
+        author: cleanText(comment.author),
+        authorUrl: comment.authorPath ? `https://www.producthunt.com${comment.authorPath}` : '',
+        text: cleanText(comment.text),
+        upvotes: comment.upvotes,
+        isReply: comment.parent !== -1,
+        isMakerComment: comment.isMakerComment,
+        makerReplied: makerReplied.has(comment.index)
+      }));
+
+    console.log(`Extracted ${thread.length} comments`);
+    return thread;
+  } catch (error) {
+    console.error(`Error extracting comments: ${error.message}`);
+    return [];
+  }
+}
+
+module.exports = {
+  extractComments
+};
@@ -0,0 +1,361 @@
+// Config Module
+// The one place settings are defined. Every setting has a default here and
+// can be overridden, in increasing order of precedence, by a JSON config
+// file, an environment variable and a command line flag:
+//
+//   maxProducts  <-  phscraper.config.json { "maxProducts": 300 }
+//                <-  MAX_PRODUCTS=300
+//                <-  --max-products=300
+//
+// The merged result is validated against the schema below; any problem
+// stops the run before a browser is launched or a lead is touched.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'phscraper.config.json');
+
+const LEADERBOARD_PERIODS = ['daily', 'weekly', 'monthly', 'yearly'];
+const CONTACT_ROLES = ['maker', 'hunter', 'other'];
+
+/**
+ * Check Instantly campaign routing rules
+ * @param {Array} rules - Parsed rules
+ * @returns {string} - Error message, or '' if the rules are valid
+ */
+function validateCampaignRules(rules) {
+  if (!Array.isArray(rules)) return 'must be a JSON array of rules';
+
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    if (!rule || typeof rule.campaignId !== 'string' || !rule.campaignId) {
+      return `rule ${i + 1} needs a campaignId`;
+    }
+    for (const key of ['topics', 'roles']) {
+      if (rule[key] !== undefined && !Array.isArray(rule[key])) return `rule ${i + 1}: ${key} must be an array`;
+    }
+    for (const key of ['minRank', 'maxRank']) {
+      if (rule[key] !== undefined && !Number.isInteger(rule[key])) return `rule ${i + 1}: ${key} must be a whole number`;
+    }
+  }
+
+  return '';
+}
+
+// type is one of boolean, integer, string, url, list, enum, json.
+// list settings take values from `values` or, with itemType 'url', any URL.
+// secret settings are never printed in full.
+const SCHEMA = {
+  // Scraper
+  headless: { type: 'boolean', default: false, description: 'Run the browser without a window' },
+  debugMode: { type: 'boolean', default: false, description: 'Save screenshots and HTML of every page' },
+  maxProducts: { type: 'integer', default: 20, min: 1, description: 'Products to scrape from the leaderboard' },
+  delayBetweenRequests: { type: 'integer', default: 2000, min: 0, description: 'Base delay between Product Hunt requests (ms)' },
+  leaderboardPeriod: { type: 'enum', values: ['', ...LEADERBOARD_PERIODS], default: '', description: 'Build the current period\'s leaderboard URL when targetUrl is not set' },
+  targetUrl: { type: 'url', default: '', description: 'Leaderboard URL to scrape' },
+  maxMakersPerProduct: { type: 'integer', default: 3, min: 1, description: 'People to contact per product' },
+  contactRoles: { type: 'list', values: CONTACT_ROLES, default: ['maker', 'hunter'], description: 'Which people to contact' },
+  skipComments: { type: 'boolean', default: false, description: 'Do not collect launch comments' },
+  maxComments: { type: 'integer', default: 100, min: 0, description: 'Comments to collect per product' },
+  resume: { type: 'boolean', default: true, description: 'Resume an interrupted run from its checkpoint' },
+  concurrency: { type: 'integer', default: 1, min: 1, description: 'Products scraped in parallel' },
+  maxOpenPages: { type: 'integer', default: 0, min: 0, description: 'Browser pages open at once (0 = 3 per worker)' },
+  websiteFetchMode: { type: 'enum', values: ['auto', 'http', 'browser'], default: 'auto', description: 'How product websites are read: HTTP first with browser fallback, HTTP only, or browser only' },
+  websiteCrawlMaxPages: { type: 'integer', default: 8, min: 1, description: 'Pages of a product website to read, homepage included' },
+  websiteCrawlMaxDepth: { type: 'integer', default: 2, min: 0, description: 'Link hops from a product website\'s homepage to follow' },
+  websiteCrawlTimeLimit: { type: 'integer', default: 30000, min: 1000, description: 'Time spent crawling one product website (ms)' },
+  delayBetweenDays: { type: 'integer', default: 10000, min: 0, description: 'Pause between two backfilled days (ms)' },
+  databasePath: { type: 'string', default: '', description: 'SQLite database file (default data/phscraper.db)' },
+  outputFormats: { type: 'list', values: ['json', 'ndjson', 'xlsx'], default: [], description: 'Extra output files written next to the CSV' },
+
+  // Export and outreach
+  googleSheetId: { type: 'string', default: '', description: 'Google Sheet to export to' },
+  sheetSyncMode: { type: 'enum', values: ['upsert', 'append'], default: 'upsert', description: 'Update rows by product + maker URL, or append every run' },
+  sheetName: { type: 'string', default: 'Data', description: 'Tab to export to' },
+  sheetPerDay: { type: 'boolean', default: false, description: 'Export each day to its own tab instead of sheetName' },
+  skipPreviouslyContacted: { type: 'boolean', default: true, description: 'Do not push makers contacted on earlier runs' },
+  suppressionListPath: { type: 'string', default: '', description: 'Do-not-contact list file (default data/suppression-list.json)' },
+  emailVerifier: { type: 'enum', values: ['reoon', 'dns', 'offline'], default: 'reoon', description: 'Email verification provider' },
+  reoonApiKey: { type: 'string', default: '', secret: true, description: 'Reoon API key' },
+  reoonMode: { type: 'enum', values: ['quick', 'power'], default: 'quick', description: 'Reoon verification mode' },
+  allowRoleAccounts: { type: 'boolean', default: true, description: 'Accept info@, support@ and similar addresses' },
+  emailSmtpProbe: { type: 'boolean', default: false, description: 'Probe mail servers to detect catch-all domains' },
+  emailVerificationTtlDays: { type: 'integer', default: 30, min: 0, description: 'Days a cached verification result stays fresh' },
+  instantlyApiToken: { type: 'string', default: '', secret: true, description: 'Instantly V2 API token' },
+  instantlyCampaignId: { type: 'string', default: '', description: 'Instantly campaign for leads no routing rule matches' },
+  instantlyCampaignRules: { type: 'json', default: [], validate: validateCampaignRules, description: 'Routing rules: [{ campaignId, topics, roles, minRank, maxRank }], first match wins' },
+  instantlyApiUrl: { type: 'url', default: 'https://api.instantly.ai/api/v2/leads/add', description: 'Instantly bulk leads endpoint' },
+  instantlyBatchSize: { type: 'integer', default: 100, min: 1, max: 1000, description: 'Leads per Instantly API call' },
+  instantlySkipIfInWorkspace: { type: 'boolean', default: true, description: 'Let Instantly skip leads already in the workspace' },
+
+  // Webhooks
+  webhookUrls: { type: 'list', itemType: 'url', default: [], description: 'URLs scrape results are POSTed to' },
+  webhookSecret: { type: 'string', default: '', secret: true, description: 'HMAC-SHA256 secret for the X-PHScraper-Signature header' },
+  webhookMode: { type: 'enum', values: ['product', 'batch', 'both'], default: 'batch', description: 'Send each product as it finishes, the leaderboard at the end, or both' },
+  webhookMaxRetries: { type: 'integer', default: 3, min: 0, description: 'Retries per webhook delivery' },
+  webhookDeadLetterPath: { type: 'string', default: '', description: 'Undeliverable webhooks file (default data/webhook-dead-letter.ndjson)' }
+};
+
+/**
+ * maxProducts -> MAX_PRODUCTS
+ * @param {string} key - Setting name
+ * @returns {string} - Environment variable name
+ */
+function toEnvName(key) {
+  return key.replace(/([A-Z])/g, '_$1').toUpperCase();
+}
+
+/**
+ * maxProducts -> max-products
+ * @param {string} key - Setting name
+ * @returns {string} - Command line flag name (without the leading --)
+ */
+function toFlagName(key) {
+  return key.replace(/([A-Z])/g, '-$1').toLowerCase();
+}
+
+/**
+ * Convert a raw value (string from env/CLI, or JSON value from the file)
+ * to the setting's type
+ * @param {string} key - Setting name
+ * @param {*} value - Raw value
+ * @param {string} source - Where the value came from, for error messages
+ * @returns {Object} - { value } or { error }
+ */
+function coerceValue(key, value, source) {
+  const spec = SCHEMA[key];
+  const label = `${key} (from ${source})`;
+
+  switch (spec.type) {
+    case 'boolean': {
+      if (typeof value === 'boolean') return { value };
+      const text = String(value).trim().toLowerCase();
+      if (['true', '1', 'yes'].includes(text)) return { value: true };
+      if (['false', '0', 'no'].includes(text)) return { value: false };
+      return { error: `${label} must be true or false, got "${value}"` };
+    }
+
+    case 'integer': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isInteger(number)) {
+        return { error: `${label} must be a whole number, got "${value}"` };
+      }
+      if (spec.min !== undefined && number < spec.min) {
+        return { error: `${label} must be at least ${spec.min}, got ${number}` };
+      }
+      if (spec.max !== undefined && number > spec.max) {
+        return { error: `${label} must be at most ${spec.max}, got ${number}` };
+      }
+      return { value: number };
+    }
+
+    case 'json': {
+      let parsed = value;
+      if (typeof value === 'string') {
+        try {
+          parsed = JSON.parse(value);
+        } catch (error) {
+          return { error: `${label} is not valid JSON: ${error.message}` };
+        }
+      }
+      const problem = spec.validate ? spec.validate(parsed) : '';
+      return problem ? { error: `${label} ${problem}` } : { value: parsed };
+    }
+
+    case 'list': {
+      const items = (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+      const unknown = spec.values ? items.filter(item => !spec.values.includes(item)) : [];
+      if (unknown.length > 0) {
+        return { error: `${label} has unknown value(s) ${unknown.join(', ')} - expected any of ${spec.values.join(', ')}` };
+      }
+      const badUrls = spec.itemType === 'url' ? items.filter(item => !/^https?:\/\/[^\s/]+/.test(item)) : [];
+      if (badUrls.length > 0) {
+        return { error: `${label} must be http(s) URLs, got ${badUrls.join(', ')}` };
+      }
+      return { value: items };
+    }
+
+    case 'enum': {
+      const text = String(value).trim();
+      if (!spec.values.includes(text)) {
+        return { error: `${label} must be one of ${spec.values.filter(Boolean).join(', ')}, got "${value}"` };
+      }
+      return { value: text };
+    }
+
+    case 'url': {
+      const text = String(value).trim();
+      if (text && !/^https?:\/\/[^\s/]+/.test(text)) {
+        return { error: `${label} must be an http(s) URL, got "${value}"` };
+      }
+      return { value: text };
+    }
+
+    default:
+      return { value: String(value).trim() };
+  }
+}
+
+/**
+ * Get every setting at its default value
+ * @returns {Object} - Settings keyed by name
+ */
+function getDefaults() {
+  const defaults = {};
+  Object.keys(SCHEMA).forEach(key => {
+    const value = SCHEMA[key].default;
+    defaults[key] = Array.isArray(value) ? [...value] : value;
+  });
+  return defaults;
+}
+
+/**
+ * Split command line arguments into --flags and positional arguments
+ * Flags are --name=value, --name (true) or --no-name (false).
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} - { flags: { name: value }, positionals: [] }
+ */
+function parseArgs(argv) {
+  const flags = {};
+  const positionals = [];
+
+  argv.forEach(arg => {
+    const match = /^--([a-z0-9-]+)(?:=(.*))?$/.exec(arg);
+    if (!match) {
+      positionals.push(arg);
+    } else if (match[2] !== undefined) {
+      flags[match[1]] = match[2];
+    } else if (match[1].startsWith('no-')) {
+      flags[match[1].slice(3)] = 'false';
+    } else {
+      flags[match[1]] = 'true';
+    }
+  });
+
+  return { flags, positionals };
+}
+
+/**
+ * Load and validate the configuration
+ * @param {Object} options - Where to read settings from
+ * @param {Array} options.argv - Command line arguments (defaults to process.argv.slice(2))
+ * @param {Object} options.env - Environment variables (defaults to process.env)
+ * @param {string} options.configFile - Config file path (defaults to --config, CONFIG_FILE or phscraper.config.json)
+ * @returns {Object} - Settings keyed by name; throws listing every invalid setting
+ */
+function loadConfig(options = {}) {
+  const argv = options.argv || process.argv.slice(2);
+  const env = options.env || process.env;
+  const { flags } = parseArgs(argv);
+  const errors = [];
+
+  const config = getDefaults();
+
+  const apply = (key, value, source) => {
+    const result = coerceValue(key, value, source);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      config[key] = result.value;
+    }
+  };
+
+  // 1. Config file - optional unless one was named explicitly
+  const namedFile = options.configFile || flags.config || env.CONFIG_FILE;
+  const configFile = namedFile || DEFAULT_CONFIG_FILE;
+  if (fs.existsSync(configFile)) {
+    let fileSettings = {};
+    try {
+      fileSettings = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (error) {
+      errors.push(`Config file ${configFile} is not valid JSON: ${error.message}`);
+    }
+
+    Object.keys(fileSettings).forEach(key => {
+      if (!SCHEMA[key]) {
+        errors.push(`Config file ${configFile} has unknown setting "${key}"`);
+      } else {
+        apply(key, fileSettings[key], configFile);
+      }
+    });
+  } else if (namedFile) {
+    errors.push(`Config file ${namedFile} does not exist`);
+  }
+
+  // 2. Environment variables
+  Object.keys(SCHEMA).forEach(key => {
+    const envName = toEnvName(key);
+    if (env[envName] !== undefined && env[envName] !== '') {
+      apply(key, env[envName], envName);
+    }
+  });
+
+  // 3. Command line flags
+  const flagKeys = {};
+  Object.keys(SCHEMA).forEach(key => {
+    flagKeys[toFlagName(key)] = key;
+  });
+  Object.keys(flags).forEach(flag => {
+    if (flag === 'config') return;
+    if (!flagKeys[flag]) {
+      errors.push(`Unknown command line flag --${flag}`);
+    } else {
+      apply(flagKeys[flag], flags[flag], `--${flag}`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return config;
+}
+
+/**
+ * Fail when settings a script cannot work without are missing
+ * @param {Object} config - Loaded configuration
+ * @param {Array} keys - Settings that must be set
+ */
+function requireSettings(config, keys) {
+  const missing = keys.filter(key => config[key] === '' || config[key] === undefined);
+  if (missing.length > 0) {
+    const names = missing.map(key => `${key} (${toEnvName(key)} or --${toFlagName(key)})`);
+    throw new Error(`Missing required configuration:\n  - ${names.join('\n  - ')}`);
+  }
+}
+
+/**
+ * Hide all but the last 4 characters of a secret
+ * @param {string} value - Secret value
+ * @returns {string} - Redacted value
+ */
+function redact(value) {
+  if (!value) return '(not set)';
+  return value.length > 8 ? `****${value.slice(-4)}` : '****';
+}
+
+/**
+ * Format the effective configuration for logging, with secrets redacted
+ * @param {Object} config - Loaded configuration
+ * @returns {string} - One "name = value" line per setting
+ */
+function formatConfig(config) {
+  return Object.keys(SCHEMA)
+    .map(key => {
+      const value = SCHEMA[key].secret ? redact(config[key]) : config[key];
+      const shown = SCHEMA[key].type === 'json' ? JSON.stringify(value) : (Array.isArray(value) ? value.join(',') : value);
+      return `  ${key} = ${shown}`;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  SCHEMA,
+  getDefaults,
+  loadConfig,
+  requireSettings,
+  formatConfig,
+  parseArgs
+};
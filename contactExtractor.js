@@ -1,6 +1,8 @@
 // Contact Extractor Module
 const cheerio = require('cheerio');
-const { delay, randomDelay } = require('./utils');
+const { delay, randomDelay, cleanText, parseCount } = require('./utils');
+const { collectEmailCandidates, rankEmailCandidates } = require('./emailCandidates');
+const { extractEmails } = require('./emailExtractor');
 
 // Function to extract contact information from a maker's profile
 async function extractContactInfo(browser, makerUrl) {
@@ -31,6 +33,9 @@ async function extractContactInfo(browser, makerUrl) {
     let xId = '';
     let linkedinUrl = '';
     
+    // Read the rest of the profile (bio, followers, products, ...)
+    const profileDetails = extractProfileDetails($);
+    
     // Look for social links
     const socialLinks = $('a[href*="twitter.com"], a[href*="x.com"], a[href*="linkedin.com"], a[href^="mailto:"], a[href*="/twitter"], a[href*="/linkedin"]');
     
@@ -58,105 +63,150 @@ async function extractContactInfo(browser, makerUrl) {
       }
     });
     
+    // Every address on the profile, best first - the top one is the email.
+    // Product Hunt's own addresses are not the maker's.
+    let emails = rankEmailCandidates(
+      collectEmailCandidates($, makerUrl, { ignoreDomains: ['producthunt.com'] }),
+      { preferredType: 'personal' }
+    );
+    if (emails.length > 0) {
+      email = emails[0].email;
+      console.log(`Found ${emails.length} email(s), best: ${email}`);
+    }
+    
     // If email not found in links, look for it in text
     if (!email) {
-      const pageText = $('body').text();
-      // Initial email regex to find potential email addresses
-      const emailRegex = /([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/gi;
-      const emailMatches = pageText.match(emailRegex);
-      
-      if (emailMatches && emailMatches.length > 0) {
-        // Get the first email match
-        let rawEmail = emailMatches[0];
-        
-        // Improved cleaning logic for malformed emails
-        // First, extract the basic email pattern
-        const basicEmailMatch = rawEmail.match(/([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/i);
-        if (basicEmailMatch && basicEmailMatch[1]) {
-          rawEmail = basicEmailMatch[1];
-        }
-        
-        // Then, find where the valid email ends by looking for common domain endings
-        const domainEndingRegex = /\.(com|org|net|io|ai|co|dev|app|software|edu|gov|biz|info|me|tv|xyz|uk|us|ca|au|de|fr|jp|ru|br|in|cn|nl|se|no|fi|dk|pl|ch|at|be|es|pt|gr|cz|hu|ro|sk|bg|hr|rs|si|lt|lv|ee|ua|by|kz|tr|il|sa|ae|za|ng|ke|eg|ma|dz|tn|gh|ci|cm|sn|mg|mu|re|yt|nc|pf|tf|wf|mq|gp|gf|pm|bl|mf|ws|as|gu|mp|pr|vi|um|fm|pw|mh|vu|sb|fj|to|ck|nu|tk|ki|nr|tv|cx|cc|nf|hm|aq|bv|gs|sj|tc|vg|ms|ky|ai|dm|lc|vc|gd|bb|ag|bs|jm|ht|do|pr|tt|kn|gl|fo|ax|je|gg|im|sh|io|ac|sc|mv|lk|bt|np|bd|pk|lk|mm|th|la|kh|vn|my|sg|bn|id|tl|ph|tw|hk|mo|kr|jp|cn|mn|kp|kz|uz|tm|tj|kg|af|pk|in|np|bt|bd|lk|mv|ph|id|sg|my|bn|tl|kh|la|mm|th|vn|cn|hk|mo|tw|jp|kr|kp|mn|au|nz|fj|vu|to|ws|ck|nu|pf|nc|sb|nr|ki|tv|fm|mh|pw|pg|tk|cx|cc|nf|hm|aq|bv|gs|sj|tc|vg|ms|ky|ai|dm|lc|vc|gd|bb|ag|bs|jm|ht|do|pr|tt|kn|gl|fo|ax|je|gg|im|sh|io|ac|sc|mv|lk|bt|np|bd|pk|lk|mm|th|la|kh|vn|my|sg|bn|id|tl|ph|tw|hk|mo|kr|jp|cn|mn|kp|kz|uz|tm|tj|kg|af|pk|in|np|bt|bd|lk|mv|ph|id|sg|my|bn|tl|kh|la|mm|th|vn|cn|hk|mo|tw|jp|kr|kp|mn|au|nz|fj|vu|to|ws|ck|nu|pf|nc|sb|nr|ki|tv|fm|mh|pw|pg|tk|cx|cc|nf|hm|aq|bv|gs|sj|tc|vg|ms|ky|ai|dm|lc|vc|gd|bb|ag|bs|jm|ht|do|pr|tt|kn|gl|fo|ax|je|gg|im|sh|io|ac|sc)\b/i;
-        const domainEndingMatch = rawEmail.match(domainEndingRegex);
-        
-        if (domainEndingMatch) {
-          const endIndex = rawEmail.indexOf(domainEndingMatch[0]) + domainEndingMatch[0].length;
-          email = rawEmail.substring(0, endIndex);
-        } else {
-          // If no standard domain ending found, try to find where the email might end
-          // by looking for non-email characters after a potential domain
-          const nonEmailCharRegex = /\.(com|org|net|io|ai|co|dev|app|software)([^a-zA-Z0-9._-])/i;
-          const nonEmailCharMatch = rawEmail.match(nonEmailCharRegex);
-          
-          if (nonEmailCharMatch) {
-            const endIndex = rawEmail.indexOf(nonEmailCharMatch[2]);
-            email = rawEmail.substring(0, endIndex);
-          } else {
-            email = rawEmail;
-          }
-        }
-        
+      const textEmails = extractEmails($('body').text());
+      if (textEmails.length > 0) {
+        email = textEmails[0];
         console.log(`Found email in text: ${email}`);
       }
     }
     
-    // Try to extract email using JavaScript if not found yet
+    // Try the rendered text if not found yet - innerText keeps the line
+    // breaks between elements that the HTML text runs together
     if (!email) {
       console.log('Trying JavaScript extraction for email...');
       
-      const jsEmail = await page.evaluate(() => {
-        // More aggressive email extraction
-        const emailRegex = /([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/gi;
-        const pageText = document.body.innerText;
-        const emailMatches = pageText.match(emailRegex);
-        
-        if (emailMatches && emailMatches.length > 0) {
-          // Get the first email match
-          let rawEmail = emailMatches[0];
-          
-          // Clean up the email by finding where the domain ends
-          // Look for common domain endings
-          const domainEndingRegex = /\.(com|org|net|io|ai|co|dev|app|software)\b/i;
-          const domainEndingMatch = rawEmail.match(domainEndingRegex);
-          
-          if (domainEndingMatch) {
-            const endIndex = rawEmail.indexOf(domainEndingMatch[0]) + domainEndingMatch[0].length;
-            return rawEmail.substring(0, endIndex);
-          }
-          
-          // If no standard domain ending found, try to find where the email might end
-          // by looking for non-email characters after a potential domain
-          const nonEmailCharRegex = /\.(com|org|net|io|ai|co|dev|app|software)([^a-zA-Z0-9._-])/i;
-          const nonEmailCharMatch = rawEmail.match(nonEmailCharRegex);
-          
-          if (nonEmailCharMatch) {
-            const endIndex = rawEmail.indexOf(nonEmailCharMatch[2]);
-            return rawEmail.substring(0, endIndex);
-          }
-          
-          return rawEmail;
-        }
-        
-        return '';
-      });
+      const renderedText = await page.evaluate(() => document.body.innerText);
+      const jsEmails = extractEmails(renderedText);
       
-      if (jsEmail) {
-        email = jsEmail;
+      if (jsEmails.length > 0) {
+        email = jsEmails[0];
         console.log(`Found email with JavaScript: ${email}`);
       }
     }
     
-    return { email, xId, linkedinUrl };
+    // Keep an address only the fallbacks found in the list too
+    if (email && emails.length === 0) {
+      emails = rankEmailCandidates([{ email, sourcePage: makerUrl, method: 'text' }], { preferredType: 'personal' });
+    }
+    
+    return { email, emails, xId, linkedinUrl, ...profileDetails };
   } catch (error) {
     console.error(`Error extracting contact info: ${error.message}`);
-    return { email: '', xId: '', linkedinUrl: '' };
+    return { email: '', emails: [], xId: '', linkedinUrl: '', ...getEmptyProfileDetails() };
   } finally {
     // Always close the page to free up resources
     await page.close();
   }
 }
 
+// Function to get profile details with every field empty
+function getEmptyProfileDetails() {
+  return {
+    headline: '',
+    bio: '',
+    followers: null,
+    personalWebsite: '',
+    githubUrl: '',
+    products: [],
+    streak: null,
+    badges: [],
+    joinDate: ''
+  };
+}
+
+// Function to extract the profile details shown on a maker's profile page
+function extractProfileDetails($) {
+  const details = getEmptyProfileDetails();
+  
+  try {
+    const pageText = cleanText($('body').text());
+    
+    // Headline sits right under the name
+    const nameHeading = $('h1').first();
+    if (nameHeading.length > 0) {
+      details.headline = cleanText(nameHeading.nextAll('div, p, h2').first().text());
+    }
+    
+    // Bio is the text under the "About" heading, the page description otherwise
+    const aboutHeading = $('h2, h3').filter((_, el) => cleanText($(el).text()).toLowerCase() === 'about').first();
+    if (aboutHeading.length > 0) {
+      details.bio = cleanText(aboutHeading.next().text());
+    }
+    if (!details.bio) {
+      details.bio = cleanText($('meta[name="description"]').attr('content') || '');
+    }
+    
+    const followersMatch = pageText.match(/([\d.,]+\s*[kKmM]?)\s+followers/i);
+    details.followers = followersMatch ? parseCount(followersMatch[1]) : null;
+    
+    const streakMatch = pageText.match(/(\d+)\s*(?:-|\s)?day streak/i);
+    details.streak = streakMatch ? parseInt(streakMatch[1], 10) : null;
+    
+    const joinedMatch = pageText.match(/[Jj]oined\s+(?:on\s+)?([A-Z][a-z]+\s+(?:\d{1,2}(?:st|nd|rd|th)?,?\s+)?\d{4})/);
+    details.joinDate = joinedMatch ? joinedMatch[1] : '';
+    
+    // Links: GitHub and the maker's own website
+    const ignoredHosts = ['producthunt.com', 'twitter.com', 'x.com', 'linkedin.com', 'github.com', 'facebook.com', 'instagram.com', 'youtube.com', 'lu.ma'];
+    $('a[href^="http"]').each((_, element) => {
+      const href = $(element).attr('href');
+      let hostname;
+      try {
+        hostname = new URL(href).hostname.replace(/^www\./, '');
+      } catch (error) {
+        return;
+      }
+      
+      if (hostname === 'github.com' && !details.githubUrl) {
+        details.githubUrl = href;
+      } else if (!details.personalWebsite && !ignoredHosts.some(host => hostname === host || hostname.endsWith(`.${host}`))) {
+        details.personalWebsite = href;
+      }
+    });
+    
+    // Products the maker has made
+    const seenProducts = new Set();
+    $('a[href^="/products/"]').each((_, element) => {
+      const href = $(element).attr('href').split('?')[0];
+      const name = cleanText($(element).text());
+      if (name && !seenProducts.has(href)) {
+        seenProducts.add(href);
+        details.products.push({ name, url: `https://www.producthunt.com${href}` });
+      }
+    });
+    
+    // Badges are listed under a "Badges" heading, or shown as badge images
+    const badges = new Set();
+    const badgesHeading = $('h2, h3').filter((_, el) => /^badges/i.test(cleanText($(el).text()))).first();
+    if (badgesHeading.length > 0) {
+      badgesHeading.parent().find('img[alt], a[href*="/badges"]').each((_, element) => {
+        const label = cleanText($(element).attr('alt') || $(element).text());
+        if (label) badges.add(label);
+      });
+    }
+    $('img[alt*="badge" i], img[alt*="Badge"]').each((_, element) => {
+      badges.add(cleanText($(element).attr('alt')));
+    });
+    details.badges = Array.from(badges);
+  } catch (error) {
+    console.error(`Error extracting profile details: ${error.message}`);
+  }
+  
+  return details;
+}
+
 // Function to extract Twitter handle from URL
 function extractTwitterHandle(url) {
   if (!url) return '';
@@ -6,6 +6,7 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const dotenv = require('dotenv');
+const { loadConfig } = require('./config');
 const { uploadCSVToGoogleSheets } = require('./google-sheets-exporter');
 
 // Load current env variables
@@ -135,7 +136,8 @@ async function main() {
     console.log('Scraper finished successfully!');
     
     // Export to Google Sheets if configuration is available
-    if (process.env.GOOGLE_SHEET_ID) {
+    const config = loadConfig();
+    if (config.googleSheetId) {
       console.log('Exporting data to Google Sheets...');
       
       // Find the latest CSV file
@@ -144,7 +146,7 @@ async function main() {
       if (latestCsvFile) {
         console.log(`Latest CSV file found: ${latestCsvFile}`);
         try {
-          await uploadCSVToGoogleSheets(latestCsvFile);
+          await uploadCSVToGoogleSheets(latestCsvFile, config);
           console.log('Data successfully exported to Google Sheets');
         } catch (exportError) {
           console.error(`Error exporting to Google Sheets: ${exportError.message}`);
@@ -0,0 +1,158 @@
+// CSV Reader Module
+// Streaming RFC 4180 parser: quoted fields may hold commas, doubled quotes
+// ("") and line breaks, so it reads back everything csv-writer produces.
+const fs = require('fs');
+
+/**
+ * Create an incremental CSV parser
+ * Feed it chunks of text with write(); each call returns the rows completed
+ * so far. A quoted field may span any number of chunks.
+ * @returns {Object} - Parser with write(chunk) and end()
+ */
+function createCSVParser() {
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let quotePending = false; // Saw a quote inside a quoted field - closing or escaped?
+  let fieldStarted = false;
+  let skipLineFeed = false;
+  let isFirstChunk = true;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+    fieldStarted = false;
+  };
+
+  const endRow = rows => {
+    endField();
+    // Blank lines carry no data - drop them instead of emitting [''] rows
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  const write = chunk => {
+    const rows = [];
+    let text = String(chunk);
+
+    // Strip a UTF-8 byte order mark
+    if (isFirstChunk) {
+      isFirstChunk = false;
+      if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      // "\r\n" may be split across two chunks
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (char === '\n') continue;
+      }
+
+      if (quotePending) {
+        quotePending = false;
+        if (char === '"') {
+          // Escaped quote
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          quotePending = true;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && !fieldStarted) {
+        inQuotes = true;
+        fieldStarted = true;
+      } else if (char === ',') {
+        endField();
+      } else if (char === '\r' || char === '\n') {
+        skipLineFeed = char === '\r';
+        endRow(rows);
+      } else {
+        // A stray quote in an unquoted field is kept as text
+        field += char;
+        fieldStarted = true;
+      }
+    }
+
+    return rows;
+  };
+
+  const end = () => {
+    const rows = [];
+    if (inQuotes && !quotePending) {
+      throw new Error('CSV ended inside a quoted field');
+    }
+    if (fieldStarted || row.length > 0) {
+      endRow(rows);
+    }
+    return rows;
+  };
+
+  return { write, end };
+}
+
+/**
+ * Parse CSV text in one go
+ * @param {string} csvContent - CSV text
+ * @returns {Array} - Rows as arrays of strings (the header row first)
+ */
+function parseCSV(csvContent) {
+  const parser = createCSVParser();
+  return parser.write(csvContent).concat(parser.end());
+}
+
+/**
+ * Stream a CSV file from disk
+ * @param {string} filePath - Path of the CSV file
+ * @param {Function} onRow - Optional callback per row; when given, rows are not collected
+ * @returns {Promise<Array>} - Rows as arrays of strings (empty when onRow is given)
+ */
+function readCSVFile(filePath, onRow = null) {
+  return new Promise((resolve, reject) => {
+    const parser = createCSVParser();
+    const rows = [];
+    const emit = parsed => {
+      if (onRow) {
+        parsed.forEach(onRow);
+      } else {
+        rows.push(...parsed);
+      }
+    };
+
+    fs.createReadStream(filePath, { encoding: 'utf8' })
+      .on('data', chunk => {
+        try {
+          emit(parser.write(chunk));
+        } catch (error) {
+          reject(error);
+        }
+      })
+      .on('end', () => {
+        try {
+          emit(parser.end());
+          resolve(rows);
+        } catch (error) {
+          reject(error);
+        }
+      })
+      .on('error', reject);
+  });
+}
+
+module.exports = {
+  createCSVParser,
+  parseCSV,
+  readCSVFile
+};
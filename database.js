@@ -0,0 +1,587 @@
+// Database Module
+// Local SQLite store of everything we have scraped. Products and makers are
+// upserted by their Product Hunt URL, each leaderboard appearance is a launch,
+// and every email / social handle we found is a contact point. The CSV and
+// Sheets exports are built from this store rather than from a single run.
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DEFAULT_DATABASE_PATH = path.join(__dirname, 'data', 'phscraper.db');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS products (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL DEFAULT '',
+    website TEXT NOT NULL DEFAULT '',
+    tagline TEXT NOT NULL DEFAULT '',
+    description TEXT NOT NULL DEFAULT '',
+    topics TEXT NOT NULL DEFAULT '[]',
+    pricing TEXT NOT NULL DEFAULT '',
+    thumbnail_url TEXT NOT NULL DEFAULT '',
+    gallery_urls TEXT NOT NULL DEFAULT '[]',
+    first_seen_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS makers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL DEFAULT '',
+    headline TEXT NOT NULL DEFAULT '',
+    bio TEXT NOT NULL DEFAULT '',
+    followers INTEGER,
+    personal_website TEXT NOT NULL DEFAULT '',
+    github_url TEXT NOT NULL DEFAULT '',
+    products TEXT NOT NULL DEFAULT '[]',
+    streak INTEGER,
+    badges TEXT NOT NULL DEFAULT '[]',
+    join_date TEXT NOT NULL DEFAULT '',
+    first_seen_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS launches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    leaderboard_url TEXT NOT NULL,
+    extracted_date TEXT NOT NULL DEFAULT '',
+    leaderboard_rank INTEGER,
+    leaderboard_size INTEGER,
+    leaderboard_upvotes INTEGER,
+    leaderboard_comments INTEGER,
+    daily_rank INTEGER,
+    upvotes INTEGER,
+    comment_count INTEGER,
+    launch_date TEXT NOT NULL DEFAULT '',
+    hunter_name TEXT NOT NULL DEFAULT '',
+    hunter_url TEXT NOT NULL DEFAULT '',
+    status TEXT NOT NULL DEFAULT 'done',
+    scraped_at TEXT NOT NULL,
+    UNIQUE (product_id, leaderboard_url)
+  );
+
+  CREATE TABLE IF NOT EXISTS launch_people (
+    launch_id INTEGER NOT NULL REFERENCES launches(id),
+    maker_id INTEGER NOT NULL REFERENCES makers(id),
+    role TEXT NOT NULL DEFAULT 'maker',
+    position INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (launch_id, maker_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS contact_points (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner_type TEXT NOT NULL CHECK (owner_type IN ('product', 'maker')),
+    owner_id INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    value TEXT NOT NULL,
+    source_url TEXT NOT NULL DEFAULT '',
+    first_seen_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL,
+    UNIQUE (owner_type, owner_id, type, value)
+  );
+
+  CREATE TABLE IF NOT EXISTS email_candidates (
+    owner_type TEXT NOT NULL CHECK (owner_type IN ('product', 'maker')),
+    owner_id INTEGER NOT NULL,
+    email TEXT NOT NULL,
+    source_page TEXT NOT NULL DEFAULT '',
+    method TEXT NOT NULL DEFAULT '',
+    type TEXT NOT NULL DEFAULT '',
+    confidence INTEGER NOT NULL DEFAULT 0,
+    first_seen_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL,
+    PRIMARY KEY (owner_type, owner_id, email)
+  );
+
+  CREATE TABLE IF NOT EXISTS outreach (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT NOT NULL DEFAULT '',
+    maker_url TEXT NOT NULL DEFAULT '',
+    product_url TEXT NOT NULL DEFAULT '',
+    status TEXT NOT NULL,
+    contacted_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS email_verifications (
+    email TEXT NOT NULL,
+    verifier TEXT NOT NULL,
+    is_valid INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT '',
+    message TEXT NOT NULL DEFAULT '',
+    verified_at TEXT NOT NULL,
+    PRIMARY KEY (email, verifier)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_outreach_email ON outreach (email);
+  CREATE INDEX IF NOT EXISTS idx_outreach_maker_url ON outreach (maker_url);
+  CREATE INDEX IF NOT EXISTS idx_launches_leaderboard ON launches (leaderboard_url);
+  CREATE INDEX IF NOT EXISTS idx_contact_points_owner ON contact_points (owner_type, owner_id);
+`;
+
+/**
+ * Open (and create if needed) the local database
+ * @param {string} databasePath - Path of the SQLite file
+ * @returns {Object} - better-sqlite3 database handle
+ */
+function openDatabase(databasePath = DEFAULT_DATABASE_PATH) {
+  const directory = path.dirname(databasePath);
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  const db = new Database(databasePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+
+  // Databases created before contact sources were recorded lack the column
+  const contactPointColumns = db.prepare('PRAGMA table_info(contact_points)').all().map(column => column.name);
+  if (!contactPointColumns.includes('source_url')) {
+    db.exec("ALTER TABLE contact_points ADD COLUMN source_url TEXT NOT NULL DEFAULT ''");
+  }
+
+  return db;
+}
+
+/**
+ * Upsert a product by URL
+ * Empty values never overwrite what an earlier run found.
+ * @param {Object} db - Database handle
+ * @param {Object} product - { url, name }
+ * @param {Object} productDetails - Product details from getProductDetails (may be null)
+ * @returns {number} - Product id
+ */
+function upsertProduct(db, product, productDetails) {
+  const metadata = (productDetails && productDetails.metadata) || {};
+  const now = new Date().toISOString();
+
+  db.prepare(`
+    INSERT INTO products (url, name, website, tagline, description, topics, pricing, thumbnail_url, gallery_urls, first_seen_at, updated_at)
+    VALUES (@url, @name, @website, @tagline, @description, @topics, @pricing, @thumbnailUrl, @galleryUrls, @now, @now)
+    ON CONFLICT (url) DO UPDATE SET
+      name = COALESCE(NULLIF(excluded.name, ''), products.name),
+      website = COALESCE(NULLIF(excluded.website, ''), products.website),
+      tagline = COALESCE(NULLIF(excluded.tagline, ''), products.tagline),
+      description = COALESCE(NULLIF(excluded.description, ''), products.description),
+      topics = CASE WHEN excluded.topics = '[]' THEN products.topics ELSE excluded.topics END,
+      pricing = COALESCE(NULLIF(excluded.pricing, ''), products.pricing),
+      thumbnail_url = COALESCE(NULLIF(excluded.thumbnail_url, ''), products.thumbnail_url),
+      gallery_urls = CASE WHEN excluded.gallery_urls = '[]' THEN products.gallery_urls ELSE excluded.gallery_urls END,
+      updated_at = excluded.updated_at
+  `).run({
+    url: product.url,
+    name: product.name || '',
+    website: (productDetails && productDetails.productWebsite) || '',
+    tagline: metadata.tagline || '',
+    description: metadata.description || '',
+    topics: JSON.stringify(metadata.topics || []),
+    pricing: metadata.pricing || '',
+    thumbnailUrl: metadata.thumbnailUrl || '',
+    galleryUrls: JSON.stringify(metadata.galleryUrls || []),
+    now
+  });
+
+  return db.prepare('SELECT id FROM products WHERE url = ?').get(product.url).id;
+}
+
+/**
+ * Upsert a maker by profile URL
+ * @param {Object} db - Database handle
+ * @param {Object} maker - Maker with contact info and profile details
+ * @returns {number} - Maker id
+ */
+function upsertMaker(db, maker) {
+  const now = new Date().toISOString();
+
+  db.prepare(`
+    INSERT INTO makers (url, name, headline, bio, followers, personal_website, github_url, products, streak, badges, join_date, first_seen_at, updated_at)
+    VALUES (@url, @name, @headline, @bio, @followers, @personalWebsite, @githubUrl, @products, @streak, @badges, @joinDate, @now, @now)
+    ON CONFLICT (url) DO UPDATE SET
+      name = COALESCE(NULLIF(excluded.name, ''), makers.name),
+      headline = COALESCE(NULLIF(excluded.headline, ''), makers.headline),
+      bio = COALESCE(NULLIF(excluded.bio, ''), makers.bio),
+      followers = COALESCE(excluded.followers, makers.followers),
+      personal_website = COALESCE(NULLIF(excluded.personal_website, ''), makers.personal_website),
+      github_url = COALESCE(NULLIF(excluded.github_url, ''), makers.github_url),
+      products = CASE WHEN excluded.products = '[]' THEN makers.products ELSE excluded.products END,
+      streak = COALESCE(excluded.streak, makers.streak),
+      badges = CASE WHEN excluded.badges = '[]' THEN makers.badges ELSE excluded.badges END,
+      join_date = COALESCE(NULLIF(excluded.join_date, ''), makers.join_date),
+      updated_at = excluded.updated_at
+  `).run({
+    url: maker.url,
+    name: maker.name || '',
+    headline: maker.headline || '',
+    bio: maker.bio || '',
+    followers: maker.followers ?? null,
+    personalWebsite: maker.personalWebsite || '',
+    githubUrl: maker.githubUrl || '',
+    products: JSON.stringify(maker.products || []),
+    streak: maker.streak ?? null,
+    badges: JSON.stringify(maker.badges || []),
+    joinDate: maker.joinDate || '',
+    now
+  });
+
+  return db.prepare('SELECT id FROM makers WHERE url = ?').get(maker.url).id;
+}
+
+/**
+ * Record a contact point, refreshing last_seen_at if we already had it
+ * @param {Object} db - Database handle
+ * @param {string} ownerType - 'product' or 'maker'
+ * @param {number} ownerId - Product or maker id
+ * @param {string} type - email, twitter, linkedin or contact_page
+ * @param {string} value - The email address, handle or URL
+ * @param {string} sourceUrl - Page the contact point was found on, if known
+ */
+function addContactPoint(db, ownerType, ownerId, type, value, sourceUrl = '') {
+  if (!value) return;
+
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO contact_points (owner_type, owner_id, type, value, source_url, first_seen_at, last_seen_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (owner_type, owner_id, type, value) DO UPDATE SET
+      last_seen_at = excluded.last_seen_at,
+      source_url = COALESCE(NULLIF(excluded.source_url, ''), contact_points.source_url)
+  `).run(ownerType, ownerId, type, value, sourceUrl || '', now, now);
+}
+
+/**
+ * Record every email address found for an owner, refreshing the ranking
+ * details of addresses we already had
+ * @param {Object} db - Database handle
+ * @param {string} ownerType - 'product' or 'maker'
+ * @param {number} ownerId - Product or maker id
+ * @param {Array} emails - [{ email, sourcePage, method, type, confidence }] from rankEmailCandidates
+ */
+function saveEmailCandidates(db, ownerType, ownerId, emails) {
+  const now = new Date().toISOString();
+  const upsert = db.prepare(`
+    INSERT INTO email_candidates (owner_type, owner_id, email, source_page, method, type, confidence, first_seen_at, last_seen_at)
+    VALUES (@ownerType, @ownerId, @email, @sourcePage, @method, @type, @confidence, @now, @now)
+    ON CONFLICT (owner_type, owner_id, email) DO UPDATE SET
+      source_page = excluded.source_page,
+      method = excluded.method,
+      type = excluded.type,
+      confidence = excluded.confidence,
+      last_seen_at = excluded.last_seen_at
+  `);
+
+  (emails || []).forEach(candidate => {
+    if (!candidate.email) return;
+    upsert.run({
+      ownerType,
+      ownerId,
+      email: candidate.email,
+      sourcePage: candidate.sourcePage || '',
+      method: candidate.method || '',
+      type: candidate.type || '',
+      confidence: candidate.confidence || 0,
+      now
+    });
+  });
+}
+
+/**
+ * Save everything scraped for one product on one leaderboard
+ * @param {Object} db - Database handle
+ * @param {Object} result - Scrape result
+ * @param {string} result.leaderboardUrl - Leaderboard the product was found on
+ * @param {string} result.extractedDate - Date label of the leaderboard
+ * @param {Object} result.product - Product from the leaderboard ({ name, url, leaderboardRank, ... })
+ * @param {Object} result.productDetails - Product details, or null if the product failed
+ * @param {Array} result.makers - People that were contacted for the product
+ * @param {string} result.status - 'done' or 'failed'
+ */
+function saveProductResult(db, { leaderboardUrl, extractedDate, product, productDetails, makers = [], status = 'done' }) {
+  const save = db.transaction(() => {
+    const productId = upsertProduct(db, product, productDetails);
+    const metadata = (productDetails && productDetails.metadata) || {};
+    const now = new Date().toISOString();
+
+    db.prepare(`
+      INSERT INTO launches (product_id, leaderboard_url, extracted_date, leaderboard_rank, leaderboard_size, leaderboard_upvotes, leaderboard_comments,
+                            daily_rank, upvotes, comment_count, launch_date, hunter_name, hunter_url, status, scraped_at)
+      VALUES (@productId, @leaderboardUrl, @extractedDate, @leaderboardRank, @leaderboardSize, @leaderboardUpvotes, @leaderboardComments,
+              @dailyRank, @upvotes, @commentCount, @launchDate, @hunterName, @hunterUrl, @status, @now)
+      ON CONFLICT (product_id, leaderboard_url) DO UPDATE SET
+        extracted_date = excluded.extracted_date,
+        leaderboard_rank = excluded.leaderboard_rank,
+        leaderboard_size = excluded.leaderboard_size,
+        leaderboard_upvotes = excluded.leaderboard_upvotes,
+        leaderboard_comments = excluded.leaderboard_comments,
+        daily_rank = COALESCE(excluded.daily_rank, launches.daily_rank),
+        upvotes = COALESCE(excluded.upvotes, launches.upvotes),
+        comment_count = COALESCE(excluded.comment_count, launches.comment_count),
+        launch_date = COALESCE(NULLIF(excluded.launch_date, ''), launches.launch_date),
+        hunter_name = COALESCE(NULLIF(excluded.hunter_name, ''), launches.hunter_name),
+        hunter_url = COALESCE(NULLIF(excluded.hunter_url, ''), launches.hunter_url),
+        status = excluded.status,
+        scraped_at = excluded.scraped_at
+    `).run({
+      productId,
+      leaderboardUrl,
+      extractedDate: extractedDate || '',
+      leaderboardRank: product.leaderboardRank ?? null,
+      leaderboardSize: product.leaderboardSize ?? null,
+      leaderboardUpvotes: product.leaderboardUpvotes ?? null,
+      leaderboardComments: product.leaderboardComments ?? null,
+      dailyRank: metadata.dailyRank ?? null,
+      upvotes: metadata.upvotes ?? null,
+      commentCount: metadata.commentCount ?? null,
+      launchDate: metadata.launchDate || '',
+      hunterName: metadata.hunterName || '',
+      hunterUrl: metadata.hunterUrl || '',
+      status,
+      now
+    });
+
+    const launchId = db.prepare('SELECT id FROM launches WHERE product_id = ? AND leaderboard_url = ?').get(productId, leaderboardUrl).id;
+
+    // Product-level contact points found on the product website
+    const websiteContactInfo = (productDetails && productDetails.websiteContactInfo) || {};
+    const sources = websiteContactInfo.sources || {};
+    addContactPoint(db, 'product', productId, 'email', websiteContactInfo.email, sources.email);
+    addContactPoint(db, 'product', productId, 'twitter', websiteContactInfo.twitter, sources.twitter);
+    addContactPoint(db, 'product', productId, 'linkedin', websiteContactInfo.linkedin, sources.linkedin);
+    addContactPoint(db, 'product', productId, 'contact_page', websiteContactInfo.website);
+    saveEmailCandidates(db, 'product', productId, websiteContactInfo.emails);
+
+    // A failed re-scrape keeps whatever an earlier run found
+    if (status !== 'done') return;
+
+    // A successful re-scrape replaces the people attached to this launch
+    db.prepare('DELETE FROM launch_people WHERE launch_id = ?').run(launchId);
+
+    makers.forEach((maker, position) => {
+      const makerId = upsertMaker(db, maker);
+
+      db.prepare('INSERT OR REPLACE INTO launch_people (launch_id, maker_id, role, position) VALUES (?, ?, ?, ?)')
+        .run(launchId, makerId, maker.role || 'maker', position);
+
+      addContactPoint(db, 'maker', makerId, 'email', maker.email);
+      addContactPoint(db, 'maker', makerId, 'twitter', maker.xId);
+      addContactPoint(db, 'maker', makerId, 'linkedin', maker.linkedinUrl);
+      saveEmailCandidates(db, 'maker', makerId, maker.emails);
+    });
+  });
+
+  save();
+}
+
+/**
+ * Get the most recently seen contact point of each type for an owner
+ * @param {Object} db - Database handle
+ * @param {string} ownerType - 'product' or 'maker'
+ * @param {number} ownerId - Product or maker id
+ * @returns {Object} - { email, twitter, linkedin, contact_page, sources: { <type>: page URL } }
+ */
+function getLatestContactPoints(db, ownerType, ownerId) {
+  const rows = db.prepare(`
+    SELECT type, value, source_url FROM contact_points
+    WHERE owner_type = ? AND owner_id = ?
+    ORDER BY last_seen_at ASC, id ASC
+  `).all(ownerType, ownerId);
+
+  // Later rows win, so the newest value of each type is kept
+  return rows.reduce((contacts, row) => {
+    contacts[row.type] = row.value;
+    contacts.sources[row.type] = row.source_url;
+    return contacts;
+  }, { sources: {} });
+}
+
+/**
+ * Get every email address found for an owner, best first
+ * @param {Object} db - Database handle
+ * @param {string} ownerType - 'product' or 'maker'
+ * @param {number} ownerId - Product or maker id
+ * @returns {Array} - [{ email, sourcePage, method, type, confidence }]
+ */
+function getEmailCandidates(db, ownerType, ownerId) {
+  return db.prepare(`
+    SELECT email, source_page AS sourcePage, method, type, confidence FROM email_candidates
+    WHERE owner_type = ? AND owner_id = ?
+    ORDER BY confidence DESC, first_seen_at ASC, email ASC
+  `).all(ownerType, ownerId);
+}
+
+/**
+ * Rebuild the scrape results of one leaderboard from the store, in the
+ * same shape the scraper produces, ordered by leaderboard rank
+ * @param {Object} db - Database handle
+ * @param {string} leaderboardUrl - Leaderboard URL
+ * @returns {Array} - [{ product, productDetails, makers, extractedDate, status }]
+ */
+function getLeaderboardResults(db, leaderboardUrl) {
+  const launches = db.prepare(`
+    SELECT l.*, p.url, p.name, p.website, p.tagline, p.description, p.topics, p.pricing, p.thumbnail_url, p.gallery_urls
+    FROM launches l
+    JOIN products p ON p.id = l.product_id
+    WHERE l.leaderboard_url = ?
+    ORDER BY l.leaderboard_rank IS NULL, l.leaderboard_rank, l.id
+  `).all(leaderboardUrl);
+
+  const peopleQuery = db.prepare(`
+    SELECT m.*, lp.role FROM launch_people lp
+    JOIN makers m ON m.id = lp.maker_id
+    WHERE lp.launch_id = ?
+    ORDER BY lp.position
+  `);
+
+  return launches.map(launch => {
+    const productContacts = getLatestContactPoints(db, 'product', launch.product_id);
+
+    const makers = peopleQuery.all(launch.id).map(maker => {
+      const contacts = getLatestContactPoints(db, 'maker', maker.id);
+      return {
+        url: maker.url,
+        name: maker.name,
+        role: maker.role,
+        email: contacts.email || '',
+        xId: contacts.twitter || '',
+        linkedinUrl: contacts.linkedin || '',
+        emails: getEmailCandidates(db, 'maker', maker.id),
+        headline: maker.headline,
+        bio: maker.bio,
+        followers: maker.followers,
+        personalWebsite: maker.personal_website,
+        githubUrl: maker.github_url,
+        products: JSON.parse(maker.products),
+        streak: maker.streak,
+        badges: JSON.parse(maker.badges),
+        joinDate: maker.join_date
+      };
+    });
+
+    return {
+      extractedDate: launch.extracted_date,
+      status: launch.status,
+      product: {
+        name: launch.name,
+        url: launch.url,
+        leaderboardRank: launch.leaderboard_rank,
+        leaderboardSize: launch.leaderboard_size,
+        leaderboardUpvotes: launch.leaderboard_upvotes,
+        leaderboardComments: launch.leaderboard_comments
+      },
+      productDetails: {
+        productWebsite: launch.website,
+        websiteContactInfo: {
+          email: productContacts.email || '',
+          twitter: productContacts.twitter || '',
+          linkedin: productContacts.linkedin || '',
+          website: productContacts.contact_page || '',
+          sources: {
+            email: productContacts.sources.email || '',
+            twitter: productContacts.sources.twitter || '',
+            linkedin: productContacts.sources.linkedin || ''
+          },
+          emails: getEmailCandidates(db, 'product', launch.product_id)
+        },
+        metadata: {
+          tagline: launch.tagline,
+          description: launch.description,
+          topics: JSON.parse(launch.topics),
+          upvotes: launch.upvotes,
+          commentCount: launch.comment_count,
+          dailyRank: launch.daily_rank,
+          launchDate: launch.launch_date,
+          pricing: launch.pricing,
+          thumbnailUrl: launch.thumbnail_url,
+          galleryUrls: JSON.parse(launch.gallery_urls),
+          hunterName: launch.hunter_name,
+          hunterUrl: launch.hunter_url
+        }
+      },
+      makers
+    };
+  });
+}
+
+/**
+ * Find the first time a maker or email was contacted
+ * A maker counts as contacted if their profile URL or any of their email
+ * addresses was exported or pushed before - makers often reuse one address
+ * across products.
+ * @param {Object} db - Database handle
+ * @param {Object} lead - { emails, makerUrl }
+ * @returns {Object|null} - { firstContactedAt, email, makerUrl } or null if never contacted
+ */
+function getPreviousOutreach(db, { emails = [], makerUrl = '' }) {
+  const normalizedEmails = emails.map(email => email.trim().toLowerCase()).filter(Boolean);
+  if (normalizedEmails.length === 0 && !makerUrl) return null;
+
+  const row = db.prepare(`
+    SELECT email, maker_url, contacted_at FROM outreach
+    WHERE email IN (SELECT value FROM json_each(@emails)) OR (@makerUrl != '' AND maker_url = @makerUrl)
+    ORDER BY contacted_at ASC
+    LIMIT 1
+  `).get({ emails: JSON.stringify(normalizedEmails), makerUrl });
+
+  return row ? { firstContactedAt: row.contacted_at, email: row.email, makerUrl: row.maker_url } : null;
+}
+
+/**
+ * Record that a lead was exported or pushed
+ * @param {Object} db - Database handle
+ * @param {Object} lead - { email, makerUrl, productUrl, status }
+ */
+function recordOutreach(db, { email = '', makerUrl = '', productUrl = '', status }) {
+  db.prepare(`
+    INSERT INTO outreach (email, maker_url, product_url, status, contacted_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(email.trim().toLowerCase(), makerUrl, productUrl, status, new Date().toISOString());
+}
+
+/**
+ * Look up a cached email verification result
+ * @param {Object} db - Database handle
+ * @param {string} email - Email address
+ * @param {string} verifier - Verifier name
+ * @param {number} maxAgeMs - Ignore results older than this
+ * @returns {Object|null} - { isValid, status, message, verifiedAt } or null on a miss
+ */
+function getCachedVerification(db, email, verifier, maxAgeMs) {
+  const since = new Date(Date.now() - maxAgeMs).toISOString();
+  const row = db.prepare(`
+    SELECT is_valid, status, message, verified_at FROM email_verifications
+    WHERE email = ? AND verifier = ? AND verified_at >= ?
+  `).get(email.trim().toLowerCase(), verifier, since);
+
+  return row ? { isValid: row.is_valid === 1, status: row.status, message: row.message, verifiedAt: row.verified_at } : null;
+}
+
+/**
+ * Store an email verification result
+ * @param {Object} db - Database handle
+ * @param {string} email - Email address
+ * @param {string} verifier - Verifier name
+ * @param {Object} result - { isValid, status, message }
+ */
+function saveVerification(db, email, verifier, result) {
+  db.prepare(`
+    INSERT INTO email_verifications (email, verifier, is_valid, status, message, verified_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(email, verifier) DO UPDATE SET
+      is_valid = excluded.is_valid,
+      status = excluded.status,
+      message = excluded.message,
+      verified_at = excluded.verified_at
+  `).run(email.trim().toLowerCase(), verifier, result.isValid ? 1 : 0, result.status || '', result.message || '', new Date().toISOString());
+}
+
+module.exports = {
+  DEFAULT_DATABASE_PATH,
+  openDatabase,
+  saveProductResult,
+  getLeaderboardResults,
+  getPreviousOutreach,
+  recordOutreach,
+  getCachedVerification,
+  saveVerification
+};
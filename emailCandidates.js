@@ -0,0 +1,203 @@
+// Email Candidates Module
+// Collects every email address on a page instead of the first match, notes
+// where and how each was found, and ranks them so the best one can fill the
+// existing Email column while the full list is kept for export.
+const { ROLE_ACCOUNTS } = require('./emailVerifier');
+const { findObfuscatedEmails } = require('./emailDeobfuscator');
+const { extractEmails } = require('./emailExtractor');
+
+// Free mailbox providers - an address there is not tied to the product
+const FREEMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'hotmail.com',
+  'hotmail.co.uk', 'outlook.com', 'live.com', 'msn.com', 'icloud.com', 'me.com',
+  'mac.com', 'aol.com', 'protonmail.com', 'proton.me', 'pm.me', 'hey.com',
+  'fastmail.com', 'zoho.com', 'yandex.com', 'yandex.ru', 'gmx.com', 'gmx.de',
+  'gmx.net', 'web.de', 'mail.com', 'mail.ru', 'qq.com', '163.com', 'tutanota.com'
+]);
+
+// How much a sighting says by itself, by the way it was found: a mailto link
+// is meant to be written to, an address in a script may be anything
+const METHOD_CONFIDENCE = {
+  mailto: 90,
+  'data-attr': 80,
+  text: 70,
+  meta: 60,
+  script: 45
+};
+
+// Addresses from templates and docs rather than real inboxes
+const PLACEHOLDER_PATTERNS = [
+  /@(?:[\w-]+\.)*example\.(?:com|org|net)$/, /@yourdomain\./, /@domain\.com$/, /@email\.com$/,
+  /^(?:test|user|email|name|your-?email|you)@/
+];
+
+/**
+ * Normalize a raw match - lower case, no trailing punctuation
+ * @param {string} email - Raw address
+ * @returns {string} - Normalized address
+ */
+function normalizeEmail(email) {
+  return (email || '').trim().toLowerCase().replace(/[._-]+$/, '');
+}
+
+/**
+ * Is this an address from a template rather than a real inbox?
+ * @param {string} email - Normalized address
+ * @returns {boolean} - true for placeholders such as you@example.com
+ */
+function isPlaceholderEmail(email) {
+  return email.length >= 100 || PLACEHOLDER_PATTERNS.some(pattern => pattern.test(email));
+}
+
+/**
+ * Classify an address
+ * @param {string} email - Normalized address
+ * @returns {string} - 'freemail' (gmail.com and co.), 'role' (info@, support@, ...) or 'personal'
+ */
+function getEmailType(email) {
+  const [localPart, domain] = email.split('@');
+  if (FREEMAIL_DOMAINS.has(domain)) return 'freemail';
+  if (ROLE_ACCOUNTS.has(localPart.split('+')[0])) return 'role';
+  return 'personal';
+}
+
+/**
+ * Registrable-looking domain of a URL, for matching addresses to a site
+ * @param {string} url - Site URL
+ * @returns {string} - Hostname without www., or '' if the URL is invalid
+ */
+function getSiteDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Find every email address on a page
+ * Text is read node by node, so addresses in neighbouring elements are not
+ * glued together ("hi@acme.ioTwitter"). Obfuscated addresses are decoded
+ * first (see emailDeobfuscator.js).
+ * @param {Object} $ - Cheerio document
+ * @param {string} pageUrl - URL the document was loaded from
+ * @param {Object} options - Collection options
+ * @param {Array} options.ignoreDomains - Domains whose addresses are never candidates (e.g. the site hosting the page)
+ * @returns {Array} - Sightings [{ email, sourcePage, method }] in page order
+ */
+function collectEmailCandidates($, pageUrl, options = {}) {
+  const ignoreDomains = options.ignoreDomains || [];
+  const candidates = [];
+
+  const add = (rawEmail, method) => {
+    const email = normalizeEmail(rawEmail);
+    if (!email || isPlaceholderEmail(email)) return;
+
+    const domain = email.split('@')[1] || '';
+    if (ignoreDomains.some(ignored => domain === ignored || domain.endsWith(`.${ignored}`))) return;
+
+    candidates.push({ email, sourcePage: pageUrl, method });
+  };
+
+  const addMatches = (text, method) => extractEmails(text).forEach(email => add(email, method));
+
+  // mailto: links, which may list several addresses and carry ?subject=...
+  $('a[href]').each((_, element) => {
+    const href = ($(element).attr('href') || '').trim();
+    if (!/^mailto:/i.test(href)) return;
+
+    let addresses = href.slice('mailto:'.length).split('?')[0];
+    try {
+      addresses = decodeURIComponent(addresses);
+    } catch (error) {
+      // Keep the raw value if it is not valid percent-encoding
+    }
+    addresses.split(/[,;]/).forEach(address => addMatches(address, 'mailto'));
+  });
+
+  $('[data-email], [data-mail], [data-contact]').each((_, element) => {
+    ['data-email', 'data-mail', 'data-contact'].forEach(attribute => addMatches($(element).attr(attribute), 'data-attr'));
+  });
+
+  $('meta[content]').each((_, element) => addMatches($(element).attr('content'), 'meta'));
+
+  $('script').each((_, element) => addMatches($(element).html(), 'script'));
+
+  $('body').find('*').addBack().contents().each((_, node) => {
+    if (node.type !== 'text') return;
+    const parentName = node.parent && node.parent.name;
+    if (parentName === 'script' || parentName === 'style' || parentName === 'noscript') return;
+    addMatches(node.data, 'text');
+  });
+
+  // Hidden addresses ([at]/[dot], Cloudflare, reversed text, scripts) count
+  // as the kind of sighting they were hidden in
+  findObfuscatedEmails($).forEach(({ text, method }) => addMatches(text, method));
+
+  return candidates;
+}
+
+/**
+ * Merge sightings of the same address and rank the addresses
+ * An address keeps its most telling sighting (method and source page).
+ * Confidence starts from how it was found and goes up for an address on the
+ * site's own domain, for a preferred type and for turning up on several pages;
+ * freemail addresses go down. Ties keep the order the sightings came in.
+ * @param {Array} sightings - [{ email, sourcePage, method }] from collectEmailCandidates
+ * @param {Object} options - Ranking options
+ * @param {string} options.siteUrl - Site the addresses should belong to
+ * @param {string} options.preferredType - 'role' for product websites, 'personal' for maker profiles
+ * @returns {Array} - [{ email, sourcePage, method, type, confidence }], best first
+ */
+function rankEmailCandidates(sightings, options = {}) {
+  const siteDomain = options.siteUrl ? getSiteDomain(options.siteUrl) : '';
+  const byEmail = new Map();
+
+  sightings.forEach(sighting => {
+    const email = normalizeEmail(sighting.email);
+    if (!email) return;
+
+    // Pages are counted, not sightings - a mailto link repeats its address
+    // in its own text
+    const existing = byEmail.get(email);
+    if (!existing) {
+      byEmail.set(email, { ...sighting, email, pages: new Set([sighting.sourcePage]) });
+      return;
+    }
+
+    existing.pages.add(sighting.sourcePage);
+    if ((METHOD_CONFIDENCE[sighting.method] || 0) > (METHOD_CONFIDENCE[existing.method] || 0)) {
+      existing.method = sighting.method;
+      existing.sourcePage = sighting.sourcePage;
+    }
+  });
+
+  const ranked = Array.from(byEmail.values()).map(candidate => {
+    const type = getEmailType(candidate.email);
+    const domain = candidate.email.split('@')[1];
+
+    let confidence = METHOD_CONFIDENCE[candidate.method] || 50;
+    if (siteDomain && (domain === siteDomain || domain.endsWith(`.${siteDomain}`) || siteDomain.endsWith(`.${domain}`))) {
+      confidence += 10;
+    }
+    if (type === 'freemail') confidence -= 15;
+    if (options.preferredType && type === options.preferredType) confidence += 5;
+    confidence += Math.min(candidate.pages.size - 1, 2) * 5;
+
+    return {
+      email: candidate.email,
+      sourcePage: candidate.sourcePage || '',
+      method: candidate.method,
+      type,
+      confidence: Math.max(0, Math.min(100, confidence))
+    };
+  });
+
+  // Array sort is stable, so equal scores keep page order
+  return ranked.sort((a, b) => b.confidence - a.confidence);
+}
+
+module.exports = {
+  collectEmailCandidates,
+  rankEmailCandidates
+};
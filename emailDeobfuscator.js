@@ -0,0 +1,227 @@
+// Email Deobfuscator Module
+// Undoes the usual ways sites hide addresses from scrapers - "name [at]
+// domain [dot] com", Cloudflare email protection, entity-encoded mailto
+// links, reversed text shown right-to-left with CSS and addresses assembled
+// in JavaScript. Each technique yields decoded text; the caller extracts the
+// addresses from it like from any other text.
+
+// " [at] ", "(at)", "{ at }", "<at>" and the same for dot
+const BRACKETED_AT = /\s*[[({<]\s*at\s*[\])}>]\s*/gi;
+const BRACKETED_DOT = /\s*[[({<]\s*dot\s*[\])}>]\s*/gi;
+
+// "name at domain dot com" spelled out - only with at least one "dot", so
+// ordinary sentences with "at" are left alone
+const SPELLED_OUT_EMAIL = /\b([a-z0-9._%+-]+)\s+at\s+([a-z0-9-]+(?:\s+dot\s+[a-z0-9-]+)+)\b/gi;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", commat: '@', period: '.', nbsp: ' ' };
+
+// A JavaScript string literal in single or double quotes
+const STRING_LITERAL = String.raw`(?:'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*")`;
+const IDENTIFIER = String.raw`[A-Za-z_$][\w$]*`;
+
+/**
+ * Decode numeric and common named HTML entities
+ * @param {string} text - Text that may contain entities
+ * @returns {string} - Decoded text
+ */
+function decodeHtmlEntities(text) {
+  // Out-of-range code points (&#99999999;) are left as they are
+  const fromCodePoint = (entity, codePoint) => (codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity);
+
+  return (text || '')
+    .replace(/&#x([0-9a-f]+);?/gi, (entity, hex) => fromCodePoint(entity, parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (entity, decimal) => fromCodePoint(entity, parseInt(decimal, 10)))
+    .replace(/&([a-z]+);/gi, (entity, name) => NAMED_ENTITIES[name.toLowerCase()] || entity);
+}
+
+/**
+ * Decode a Cloudflare-protected address
+ * The first byte is a key that every following byte is XORed with.
+ * @param {string} encoded - Hex string from data-cfemail or the #fragment of /cdn-cgi/l/email-protection
+ * @returns {string} - Decoded address, or '' if the value is not valid
+ */
+function decodeCloudflareEmail(encoded) {
+  if (!/^(?:[0-9a-f]{2}){2,}$/i.test(encoded || '')) return '';
+
+  const key = parseInt(encoded.slice(0, 2), 16);
+  let decoded = '';
+  for (let i = 2; i < encoded.length; i += 2) {
+    decoded += String.fromCharCode(parseInt(encoded.slice(i, i + 2), 16) ^ key);
+  }
+  return decoded;
+}
+
+/**
+ * Replace [at]/[dot] style spellings with @ and .
+ * @param {string} text - Text that may hold a spelled-out address
+ * @returns {string} - Text with the address written normally, or '' if there was nothing to undo
+ */
+function decodeAtDot(text) {
+  const decoded = (text || '')
+    .replace(BRACKETED_AT, '@')
+    .replace(BRACKETED_DOT, '.')
+    .replace(SPELLED_OUT_EMAIL, (_, localPart, domain) => `${localPart}@${domain.replace(/\s+dot\s+/gi, '.')}`);
+  return decoded !== text ? decoded : '';
+}
+
+/**
+ * Read the value of a JavaScript string literal
+ * @param {string} literal - Literal including its quotes
+ * @returns {string} - String value
+ */
+function unquote(literal) {
+  return literal.slice(1, -1)
+    .replace(/\\x([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/\\u([0-9a-f]{4})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Work out the strings a script builds from pieces
+ * Handles String.fromCharCode(...), escaped literals ('hi\x40acme.io'),
+ * concatenation of literals and simple string variables, [...].join('@')
+ * and '...'.split('').reverse().join(''). Nothing is executed.
+ * @param {string} script - Script source
+ * @returns {Array} - Assembled strings that contain an @
+ */
+function assembleScriptStrings(script) {
+  const results = [];
+  const keep = value => {
+    if (value.includes('@')) results.push(value);
+  };
+
+  // String.fromCharCode(104, 105) -> "hi"
+  let source = (script || '').replace(/String\.fromCharCode\(\s*([\d\s,]+)\)/g, (_, codes) => {
+    const value = codes.split(',').map(code => String.fromCharCode(parseInt(code, 10))).join('');
+    return JSON.stringify(value);
+  });
+  source = decodeHtmlEntities(source);
+
+  // '...'.split('').reverse().join('')
+  const reversed = new RegExp(String.raw`(${STRING_LITERAL})\s*\.split\(\s*(?:''|"")\s*\)\s*\.reverse\(\)\s*\.join\(\s*(?:''|"")\s*\)`, 'g');
+  source = source.replace(reversed, (_, literal) => JSON.stringify(unquote(literal).split('').reverse().join('')));
+
+  // ['hello', 'acme.io'].join('@')
+  const joined = new RegExp(String.raw`\[\s*(${STRING_LITERAL}(?:\s*,\s*${STRING_LITERAL})*)\s*\]\s*\.join\(\s*(${STRING_LITERAL})\s*\)`, 'g');
+  source = source.replace(joined, (_, items, separator) => {
+    const values = items.match(new RegExp(STRING_LITERAL, 'g')).map(unquote);
+    return JSON.stringify(values.join(unquote(separator)));
+  });
+
+  // var user = 'hello'; - simple string variables
+  const variables = {};
+  const assignment = new RegExp(String.raw`(?:\b(?:var|let|const)\s+)?(${IDENTIFIER})\s*=\s*(${STRING_LITERAL})\s*[;,\n]`, 'g');
+  let match;
+  while ((match = assignment.exec(source)) !== null) {
+    variables[match[1]] = unquote(match[2]);
+  }
+
+  // user + '@' + 'acme' + '.io'
+  const term = `(?:${STRING_LITERAL}|${IDENTIFIER})`;
+  const concatenation = new RegExp(`${term}(?:\\s*\\+\\s*${term})+`, 'g');
+  (source.match(concatenation) || []).forEach(expression => {
+    const terms = expression.match(new RegExp(term, 'g'));
+    const values = terms.map(item => (/^['"]/.test(item) ? unquote(item) : variables[item]));
+    if (values.every(value => value !== undefined)) {
+      keep(values.join(''));
+    }
+  });
+
+  // Single literals, now unescaped and with the pieces above resolved
+  (source.match(new RegExp(STRING_LITERAL, 'g')) || []).forEach(literal => keep(unquote(literal)));
+
+  return results;
+}
+
+/**
+ * Class names that a <style> block shows right-to-left with
+ * unicode-bidi: bidi-override - the reversed-text trick
+ * @param {Object} $ - Cheerio document
+ * @returns {Array} - Class names
+ */
+function findReversedClasses($) {
+  const classes = [];
+  $('style').each((_, element) => {
+    const css = $(element).html() || '';
+    const rule = /([^{}]+)\{([^}]*)\}/g;
+    let match;
+    while ((match = rule.exec(css)) !== null) {
+      if (!/direction\s*:\s*rtl/i.test(match[2]) || !/unicode-bidi\s*:\s*bidi-override/i.test(match[2])) continue;
+      (match[1].match(/\.([\w-]+)/g) || []).forEach(selector => classes.push(selector.slice(1)));
+    }
+  });
+  return classes;
+}
+
+/**
+ * Find hidden addresses on a page and decode them
+ * @param {Object} $ - Cheerio document
+ * @returns {Array} - [{ text, method, technique }] - decoded text to extract addresses from,
+ *   the collection method it counts as (mailto, text, script, data-attr) and the technique undone
+ */
+function findObfuscatedEmails($) {
+  const found = [];
+  const add = (text, method, technique) => {
+    if (text && text.includes('@')) found.push({ text, method, technique });
+  };
+
+  // Cloudflare email protection
+  $('[data-cfemail]').each((_, element) => {
+    add(decodeCloudflareEmail($(element).attr('data-cfemail')), 'data-attr', 'cloudflare');
+  });
+  $('a[href*="/cdn-cgi/l/email-protection#"]').each((_, element) => {
+    add(decodeCloudflareEmail(($(element).attr('href') || '').split('#')[1]), 'mailto', 'cloudflare');
+  });
+
+  // Entity-encoded mailto links - the parser decodes one level, so this
+  // catches double encoding (&amp;#109;...)
+  $('a[href]').each((_, element) => {
+    const href = decodeHtmlEntities($(element).attr('href') || '');
+    if (/^mailto:/i.test(href) && href !== $(element).attr('href')) {
+      add(href.slice('mailto:'.length).split('?')[0], 'mailto', 'entities');
+    }
+  });
+
+  // [at] / [dot] in text, link titles and labels
+  $('body').find('*').addBack().contents().each((_, node) => {
+    if (node.type !== 'text') return;
+    const parentName = node.parent && node.parent.name;
+    if (parentName === 'script' || parentName === 'style') return;
+    add(decodeAtDot(node.data), 'text', 'at-dot');
+  });
+  $('[title], [aria-label]').each((_, element) => {
+    add(decodeAtDot($(element).attr('title')), 'text', 'at-dot');
+    add(decodeAtDot($(element).attr('aria-label')), 'text', 'at-dot');
+  });
+
+  // Reversed text shown right-to-left by CSS
+  const reversedSelectors = findReversedClasses($).map(name => `.${name}`);
+  $('[style]').each((_, element) => {
+    const style = $(element).attr('style') || '';
+    if (/direction\s*:\s*rtl/i.test(style) && /unicode-bidi\s*:\s*bidi-override/i.test(style)) {
+      add($(element).text().split('').reverse().join(''), 'text', 'reversed');
+    }
+  });
+  if (reversedSelectors.length > 0) {
+    $(reversedSelectors.join(', ')).each((_, element) => {
+      add($(element).text().split('').reverse().join(''), 'text', 'reversed');
+    });
+  }
+
+  // Addresses assembled in JavaScript
+  $('script').each((_, element) => {
+    const type = ($(element).attr('type') || '').toLowerCase();
+    if (type && !type.includes('javascript') && type !== 'module') return;
+    assembleScriptStrings($(element).html()).forEach(value => add(value, 'script', 'javascript'));
+  });
+
+  return found;
+}
+
+module.exports = {
+  decodeHtmlEntities,
+  decodeCloudflareEmail,
+  decodeAtDot,
+  assembleScriptStrings,
+  findObfuscatedEmails
+};
@@ -0,0 +1,108 @@
+// Email Extractor Module
+// Finds email addresses in free text. A loose pattern picks out anything
+// shaped like local@domain, then the public suffix list decides where the
+// domain really ends - john@acme.com.au stays whole, while text glued on by
+// the page layout (hi@acme.ioTwitter) is cut off. Asset names such as
+// logo@2x.png are rejected.
+const { parse } = require('tldts');
+
+// "TLDs" that are really file extensions - regex-scraped asset names like
+// logo@2x.png look like addresses but can never receive mail
+const FILE_EXTENSIONS = new Set([
+  'png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'avif', 'ico', 'bmp', 'tiff',
+  'css', 'js', 'mjs', 'json', 'map', 'woff', 'woff2', 'ttf', 'eot', 'mp4', 'webm', 'pdf'
+]);
+
+// Anything that could be an address; the domain part is checked afterwards
+const LOOSE_EMAIL_PATTERN = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+/g;
+
+const LOCAL_PART = /^[a-zA-Z0-9._%+-]+$/;
+const DOMAIN_LABEL = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+
+/**
+ * Is this a domain that can receive mail - valid labels under a public
+ * suffix from the ICANN section of the list, with a name registered below it?
+ * @param {string} domain - Lower case domain
+ * @returns {boolean} - true if the domain is usable in an address
+ */
+function isDeliverableDomain(domain) {
+  const labels = domain.split('.');
+  if (labels.length < 2 || !labels.every(label => DOMAIN_LABEL.test(label))) return false;
+
+  const parsed = parse(domain, { allowPrivateDomains: false });
+  return Boolean(parsed.isIcann && parsed.domain && !parsed.isIp);
+}
+
+/**
+ * Find where a loosely matched domain really ends
+ * Text glued on by the layout starts where the case changes (acme.ioTwitter,
+ * acme.io.Next - .next is a real TLD), so the domain is cut there first and
+ * otherwise taken whole. It is never shortened to some known suffix:
+ * corp.internal is rejected, not read as corp.int.
+ * @param {string} domain - Domain as matched, original case
+ * @returns {string} - Lower case domain, or '' if it is not usable
+ */
+function trimDomain(domain) {
+  const candidates = [];
+
+  const caseBreak = domain.search(/[a-z0-9][A-Z]|\.[A-Z][a-z]/);
+  if (caseBreak !== -1) {
+    candidates.push(domain.slice(0, caseBreak + 1));
+  }
+  candidates.push(domain);
+
+  const match = candidates
+    .map(candidate => candidate.toLowerCase().replace(/[.-]+$/, ''))
+    .find(isDeliverableDomain);
+  return match || '';
+}
+
+/**
+ * Turn a loose match into a clean address
+ * @param {string} rawEmail - Text shaped like local@domain
+ * @returns {string} - Lower case address, or '' if it is not a usable address
+ */
+function parseEmail(rawEmail) {
+  const [rawLocalPart, rawDomain, ...rest] = (rawEmail || '').trim().split('@');
+  if (rest.length > 0 || !rawLocalPart || !rawDomain) return '';
+
+  const localPart = rawLocalPart.replace(/^[.%+-]+/, '');
+  if (!LOCAL_PART.test(localPart) || localPart.length > 64 || localPart.endsWith('.') || localPart.includes('..')) return '';
+
+  // logo@2x.png, icon@3x.webp - the "TLD" is a file extension
+  const domain = rawDomain.replace(/[.-]+$/, '');
+  const lastLabel = domain.split('.').pop().toLowerCase();
+  if (FILE_EXTENSIONS.has(lastLabel)) return '';
+
+  const trimmedDomain = trimDomain(domain);
+  if (!trimmedDomain) return '';
+
+  return `${localPart.toLowerCase()}@${trimmedDomain}`;
+}
+
+/**
+ * Find every email address in a piece of text
+ * @param {string} text - Text to search
+ * @returns {Array} - Lower case addresses in the order they appear, repeats included
+ */
+function extractEmails(text) {
+  const matches = (text || '').match(LOOSE_EMAIL_PATTERN) || [];
+  return matches.map(parseEmail).filter(Boolean);
+}
+
+/**
+ * Is this string one well-formed address with a real domain?
+ * @param {string} email - Address to check
+ * @returns {boolean} - true if the whole string is an address
+ */
+function isValidEmail(email) {
+  const address = (email || '').trim();
+  return parseEmail(address) === address.toLowerCase();
+}
+
+module.exports = {
+  FILE_EXTENSIONS,
+  parseEmail,
+  extractEmails,
+  isValidEmail
+};
@@ -0,0 +1,427 @@
+// Email Verifier Module
+// Pluggable email verification. A verifier is any object with a name and an
+// async verify(email) resolving to { isValid, status, message }. Reoon is one
+// implementation; the offline verifier needs no network at all and the DNS
+// verifier only asks the domain's name servers. Results are cached in the
+// local database so an address is only paid for once per TTL.
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { getCachedVerification, saveVerification } = require('./database');
+const { FILE_EXTENSIONS, isValidEmail } = require('./emailExtractor');
+
+const DEFAULT_CACHE_TTL_DAYS = 30;
+
+// Common throwaway mailbox providers
+const DISPOSABLE_DOMAINS = new Set([
+  '10minutemail.com', 'burnermail.io', 'discard.email', 'dispostable.com',
+  'emailondeck.com', 'fakeinbox.com', 'getnada.com', 'guerrillamail.com',
+  'guerrillamail.net', 'maildrop.cc', 'mailinator.com', 'mailnesia.com',
+  'mintemail.com', 'mohmal.com', 'sharklasers.com', 'spamgourmet.com',
+  'temp-mail.org', 'tempmail.com', 'tempmailo.com', 'throwawaymail.com',
+  'trashmail.com', 'yopmail.com'
+]);
+
+// Shared mailboxes that do not reach a specific maker
+const ROLE_ACCOUNTS = new Set([
+  'abuse', 'admin', 'administrator', 'billing', 'careers', 'compliance',
+  'contact', 'contactus', 'feedback', 'help', 'hello', 'hi', 'hostmaster',
+  'info', 'inquiries', 'jobs', 'legal', 'marketing', 'media', 'no-reply',
+  'noreply', 'office', 'postmaster', 'press', 'privacy', 'sales', 'security',
+  'support', 'team', 'webmaster'
+]);
+
+// Domains people mistype most often, used for typo suggestions
+const POPULAR_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com',
+  'live.com', 'icloud.com', 'me.com', 'aol.com', 'protonmail.com', 'proton.me',
+  'hey.com', 'fastmail.com', 'zoho.com', 'yandex.com', 'gmx.com'
+];
+
+const TLD_TYPOS = { con: 'com', cmo: 'com', ocm: 'com', comm: 'com', vom: 'com', xom: 'com', cim: 'com', nte: 'net', nett: 'net', ogr: 'org' };
+
+// MX hosts of domain parking services
+const PARKING_MX_PATTERNS = [
+  /parkingcrew/i, /sedoparking/i, /bodis/i, /above\.com/i, /parklogic/i,
+  /afternic/i, /hugedomains/i, /dan\.com/i, /domainparking/i
+];
+
+// Results that say nothing about the address itself
+const TRANSIENT_STATUSES = ['error', 'dns_unavailable'];
+
+/**
+ * Check an address is well-formed with the shared email parser and that its
+ * domain is not a likely typo (gmial.com, gmail.con)
+ * @param {string} address - Trimmed, lowercased address
+ * @returns {Object|null} - Failed result, or null if the syntax is fine
+ */
+function checkSyntax(address) {
+  const [localPart, domain = ''] = address.split('@');
+
+  const tld = domain.split('.').pop();
+  if (FILE_EXTENSIONS.has(tld)) {
+    return { isValid: false, status: 'invalid_syntax', message: `Not an email address: .${tld} is a file extension` };
+  }
+
+  const suggestion = localPart && domain.includes('.') ? suggestDomain(domain) : '';
+  if (suggestion && isValidEmail(`${localPart}@${suggestion}`)) {
+    return { isValid: false, status: 'typo', suggestion, message: `Likely typo: did you mean ${localPart}@${suggestion}?` };
+  }
+
+  if (!isValidEmail(address)) {
+    return { isValid: false, status: 'invalid_syntax', message: 'Invalid email format' };
+  }
+
+  return null;
+}
+
+/**
+ * Create a verifier that checks syntax, typo'd domains, disposable domains
+ * and role accounts without any network access
+ * @param {Object} options - Verifier options
+ * @param {boolean} options.allowRoleAccounts - Accept info@, support@ and similar (default true)
+ * @returns {Object} - Verifier
+ */
+function createOfflineVerifier(options = {}) {
+  const allowRoleAccounts = options.allowRoleAccounts !== false;
+
+  const verify = async email => {
+    const address = (email || '').trim().toLowerCase();
+
+    const syntaxError = checkSyntax(address);
+    if (syntaxError) return syntaxError;
+
+    const [localPart, domain] = address.split('@');
+
+    if (DISPOSABLE_DOMAINS.has(domain)) {
+      return { isValid: false, status: 'disposable', message: `Disposable email domain: ${domain}` };
+    }
+
+    if (!allowRoleAccounts && ROLE_ACCOUNTS.has(localPart.split('+')[0])) {
+      return { isValid: false, status: 'role_account', message: `Role account: ${localPart}@` };
+    }
+
+    return { isValid: true, status: 'valid', message: 'Valid email' };
+  };
+
+  return { name: 'offline', verify };
+}
+
+/**
+ * Edit distance with adjacent transpositions counted as one edit
+ * (so "gmial" is one edit away from "gmail")
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of edits
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+}
+
+/**
+ * Suggest the domain the sender probably meant
+ * @param {string} domain - Lowercased email domain
+ * @returns {string} - Suggested domain, or '' if the domain looks intended
+ */
+function suggestDomain(domain) {
+  if (POPULAR_DOMAINS.includes(domain)) return '';
+
+  const labels = domain.split('.');
+  const tld = labels.pop();
+  const fixed = [...labels, TLD_TYPOS[tld] || tld].join('.');
+  if (POPULAR_DOMAINS.includes(fixed)) return fixed;
+
+  // Short names (me.com, aol.com) are one edit away from too many real domains
+  const match = POPULAR_DOMAINS.find(popular => popular.split('.')[0].length >= 5 && editDistance(fixed, popular) === 1);
+  return match || (fixed !== domain ? fixed : '');
+}
+
+/**
+ * Check whether an MX host accepts mail for any address on the domain by
+ * asking it about a mailbox that cannot exist
+ * @param {string} mxHost - Mail server to ask
+ * @param {string} domain - Domain being checked
+ * @param {Object} options - Probe options
+ * @param {Function} options.connect - (port, host) => socket; defaults to net.createConnection
+ * @param {number} options.timeoutMs - Give up after this long
+ * @returns {Promise<boolean|null>} - true if catch-all, false if not, null if unknown
+ */
+function probeCatchAll(mxHost, domain, options = {}) {
+  const connect = options.connect || ((port, host) => net.createConnection(port, host));
+  const timeoutMs = options.timeoutMs || 10000;
+  const probeAddress = `phs-probe-${Date.now().toString(36)}@${domain}`;
+  const commands = ['EHLO phscraper.local', 'MAIL FROM:<>', `RCPT TO:<${probeAddress}>`];
+
+  return new Promise(resolve => {
+    let settled = false;
+    let buffer = '';
+    let step = 0;
+    const socket = connect(25, mxHost);
+
+    const finish = result => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      try {
+        socket.end('QUIT\r\n');
+      } catch (error) {
+        // Socket already gone
+      }
+      resolve(result);
+    };
+
+    const timer = setTimeout(() => finish(null), timeoutMs);
+
+    socket.setEncoding && socket.setEncoding('utf8');
+    socket.on('error', () => finish(null));
+    socket.on('close', () => finish(null));
+    socket.on('data', chunk => {
+      buffer += chunk;
+
+      // Wait for the final line of a (possibly multi-line) reply
+      const lines = buffer.split('\r\n').filter(Boolean);
+      const last = lines[lines.length - 1] || '';
+      if (!/^\d{3} /.test(last) || !buffer.endsWith('\r\n')) return;
+      buffer = '';
+
+      const code = parseInt(last.slice(0, 3), 10);
+      if (step === commands.length) {
+        // Reply to RCPT TO for the made-up mailbox
+        finish(code >= 200 && code < 300);
+        return;
+      }
+      if (code >= 400) {
+        finish(null);
+        return;
+      }
+      socket.write(`${commands[step++]}\r\n`);
+    });
+  });
+}
+
+/**
+ * Create a verifier that checks deliverability through DNS: syntax, typo'd
+ * domains, MX records (falling back to A records), parked domains and,
+ * optionally, catch-all mail servers
+ * @param {Object} options - Verifier options
+ * @param {Object} options.resolver - Object with resolveMx and resolve4 (defaults to dns.promises)
+ * @param {boolean} options.smtpProbe - Connect to the MX host to detect catch-all domains
+ * @param {Function} options.connect - Socket factory for the SMTP probe
+ * @returns {Object} - Verifier
+ */
+function createDnsVerifier(options = {}) {
+  const resolver = options.resolver || dns.promises;
+  const smtpProbe = options.smtpProbe || false;
+
+  const isMissing = error => ['ENODATA', 'ENOTFOUND', 'NXDOMAIN'].includes(error.code);
+
+  const verify = async email => {
+    const address = (email || '').trim().toLowerCase();
+    const syntaxError = checkSyntax(address);
+    if (syntaxError) return syntaxError;
+
+    const domain = address.split('@')[1];
+
+    let mxHosts = [];
+    try {
+      const records = await resolver.resolveMx(domain);
+      mxHosts = records
+        .sort((a, b) => a.priority - b.priority)
+        .map(record => record.exchange.replace(/\.$/, ''));
+    } catch (error) {
+      if (!isMissing(error)) {
+        // Resolver trouble says nothing about the address - let the next verifier decide
+        return { isValid: true, status: 'dns_unavailable', message: `DNS lookup failed: ${error.code || error.message}` };
+      }
+    }
+
+    // A "null MX" (RFC 7505) means the domain explicitly accepts no mail
+    if (mxHosts.length === 1 && mxHosts[0] === '') {
+      return { isValid: false, status: 'no_mx', message: `${domain} does not accept email` };
+    }
+
+    if (mxHosts.length === 0) {
+      // No MX records - mail falls back to the domain's A record
+      try {
+        const addresses = await resolver.resolve4(domain);
+        if (addresses.length === 0) throw Object.assign(new Error('no A records'), { code: 'ENODATA' });
+        mxHosts = [domain];
+      } catch (error) {
+        if (!isMissing(error)) {
+          return { isValid: true, status: 'dns_unavailable', message: `DNS lookup failed: ${error.code || error.message}` };
+        }
+        return { isValid: false, status: 'no_mx', message: `${domain} has no mail servers` };
+      }
+    }
+
+    if (mxHosts.some(host => PARKING_MX_PATTERNS.some(pattern => pattern.test(host)))) {
+      return { isValid: false, status: 'parked', mxHosts, message: `${domain} is a parked domain` };
+    }
+
+    const catchAll = smtpProbe ? await probeCatchAll(mxHosts[0], domain, { connect: options.connect }) : null;
+    if (catchAll) {
+      // Deliverable, but the server would accept any address - the mailbox may not exist
+      return { isValid: true, status: 'catch_all', catchAll, mxHosts, message: `${domain} accepts all addresses (catch-all)` };
+    }
+
+    return { isValid: true, status: 'valid', catchAll, mxHosts, message: 'Valid email' };
+  };
+
+  return { name: 'dns', verify };
+}
+
+/**
+ * Create a verifier backed by the Reoon email verification API
+ * @param {Object} options - Verifier options
+ * @param {string} options.apiKey - Reoon API key
+ * @param {string} options.mode - 'quick' or 'power'
+ * @returns {Object} - Verifier
+ */
+function createReoonVerifier(options = {}) {
+  const apiKey = options.apiKey;
+  const mode = options.mode || 'quick';
+
+  if (!apiKey) {
+    throw new Error('Reoon verifier needs an API key - set reoonApiKey (REOON_API_KEY)');
+  }
+
+  const verify = async email => {
+    try {
+      const response = await axios.get('https://emailverifier.reoon.com/api/v1/verify', {
+        params: { email, key: apiKey, mode }
+      });
+
+      const data = response.data;
+
+      // Quick mode reports "valid"; power mode reports "safe" for deliverable addresses
+      const isValid = data.status === 'valid' || data.status === 'safe';
+
+      return {
+        isValid,
+        status: data.status || '',
+        data: data,
+        message: isValid ? 'Valid email' : `Invalid email: ${data.status}`
+      };
+    } catch (error) {
+      console.error(`Error verifying email ${email}:`, error.message);
+      return {
+        isValid: false,
+        status: 'error',
+        message: `Error verifying: ${error.message}`
+      };
+    }
+  };
+
+  return { name: `reoon-${mode}`, verify };
+}
+
+/**
+ * Run verifiers in order, stopping at the first one that rejects the address
+ * Cheap offline checks go first so the paid API never sees junk addresses.
+ * @param {Array} verifiers - Verifiers to chain
+ * @returns {Object} - Verifier
+ */
+function createChainedVerifier(verifiers) {
+  const verify = async email => {
+    let result = { isValid: false, status: 'unverified', message: 'No verifier configured' };
+
+    for (const verifier of verifiers) {
+      result = await verifier.verify(email);
+      if (!result.isValid) break;
+    }
+
+    return result;
+  };
+
+  return { name: verifiers.map(verifier => verifier.name).join('+'), verify };
+}
+
+/**
+ * Wrap a verifier with a result cache in the local database
+ * Transient failures (network errors, API or DNS outages) are never cached.
+ * @param {Object} verifier - Verifier to wrap
+ * @param {Object} db - Database handle
+ * @param {number} ttlDays - How long a cached result stays fresh
+ * @returns {Object} - Verifier
+ */
+function createCachedVerifier(verifier, db, ttlDays = DEFAULT_CACHE_TTL_DAYS) {
+  const maxAgeMs = ttlDays * 24 * 60 * 60 * 1000;
+
+  const verify = async email => {
+    const cached = getCachedVerification(db, email, verifier.name, maxAgeMs);
+    if (cached) {
+      return { ...cached, message: `${cached.message} (cached)` };
+    }
+
+    const result = await verifier.verify(email);
+    if (!TRANSIENT_STATUSES.includes(result.status)) {
+      saveVerification(db, email, verifier.name, result);
+    }
+    return result;
+  };
+
+  return { name: verifier.name, verify };
+}
+
+/**
+ * Build the configured verifier
+ * The free offline checks (syntax, typos, disposable domains) always run
+ * first, so the DNS lookups and the paid Reoon API never see junk addresses.
+ * @param {Object} options - Verifier options
+ * @param {string} options.provider - 'reoon', 'dns' or 'offline'
+ * @param {Object} options.db - Database handle for the result cache (no cache if omitted)
+ * @param {number} options.cacheTtlDays - Cache TTL in days
+ * @param {string} options.apiKey - Reoon API key
+ * @param {string} options.mode - Reoon mode ('quick' or 'power')
+ * @param {boolean} options.allowRoleAccounts - Accept info@, support@ and similar (default true)
+ * @param {boolean} options.smtpProbe - Probe mail servers for catch-all domains
+ * @returns {Object} - Verifier
+ */
+function createEmailVerifier(options = {}) {
+  const provider = options.provider || 'reoon';
+  const offline = createOfflineVerifier({ allowRoleAccounts: options.allowRoleAccounts });
+
+  let verifier;
+  if (provider === 'offline') {
+    verifier = offline;
+  } else if (provider === 'dns') {
+    verifier = createChainedVerifier([offline, createDnsVerifier({
+      resolver: options.resolver,
+      smtpProbe: options.smtpProbe
+    })]);
+  } else if (provider === 'reoon') {
+    verifier = createChainedVerifier([offline, createReoonVerifier({
+      apiKey: options.apiKey,
+      mode: options.mode
+    })]);
+  } else {
+    throw new Error(`Unknown email verifier "${provider}" - expected reoon, dns or offline`);
+  }
+
+  if (!options.db) return verifier;
+
+  return createCachedVerifier(verifier, options.db, options.cacheTtlDays);
+}
+
+module.exports = {
+  ROLE_ACCOUNTS,
+  createOfflineVerifier,
+  createDnsVerifier,
+  createReoonVerifier,
+  createChainedVerifier,
+  createCachedVerifier,
+  createEmailVerifier
+};
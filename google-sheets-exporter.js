@@ -1,103 +1,44 @@
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
-const { google } = require('googleapis');
-const { GoogleAuth } = require('google-auth-library');
-const dotenv = require('dotenv');
 const axios = require('axios');
-
-// Load environment variables
-dotenv.config();
+const { loadConfig, requireSettings, formatConfig, parseArgs } = require('./config');
+const { openDatabase, getPreviousOutreach, recordOutreach } = require('./database');
+const { readCSVFile } = require('./csvReader');
+const { createEmailVerifier } = require('./emailVerifier');
+const { loadSuppressionList, findSuppression, formatSuppressionReason } = require('./suppressionList');
+const { buildLead, resolveCampaign, pushLeadsToInstantly } = require('./instantly');
 
 // If modifying these scopes, delete token.json.
 const SCOPES = ['https://www.googleapis.com/auth/spreadsheets'];
-// The ID of your Google Sheets document. You need to create this manually and add to .env
-// GOOGLE_SHEET_ID=your-sheet-id-here
-
-// Reoon API key for email verification
-const REOON_API_KEY = 'r4xRoRT0EP97NQPZNt6kK1KEsKYG10ig';
-
-// Instantly API configuration
-const INSTANTLY_CONFIG = {
-  // V2 API uses Bearer token authentication
-  apiToken: process.env.INSTANTLY_API_TOKEN || '557cCAUZ80OMYgMMfLnx1O-RrWYWK', // Replace with your V2 API token
-  campaignId: process.env.INSTANTLY_CAMPAIGN_ID || '98bdc01d-3bad-47e4-8c8c-0625340c1130',
-  apiUrl: 'https://api.instantly.ai/api/v2/leads' // V2 API endpoint
-};
-
-// Function to verify email using Reoon API
-async function verifyEmail(email) {
-  try {
-    if (!email || typeof email !== 'string' || !email.includes('@')) {
-      return {
-        isValid: false,
-        message: 'Invalid email format'
-      };
-    }
+// The Google Sheet ID, Instantly credentials and email verifier settings
+// come from config.js (e.g. GOOGLE_SHEET_ID, INSTANTLY_API_TOKEN and
+// REOON_API_KEY in .env)
 
-    console.log(`Verifying email: ${email}`);
-    const response = await axios.get(
-      `https://emailverifier.reoon.com/api/v1/verify?email=${encodeURIComponent(email)}&key=${REOON_API_KEY}&mode=quick`
-    );
+// The Google client libraries are loaded when a sheet is written, so the
+// lead handling below can be used (and tested) without them
+function createSheetsClient(auth) {
+  const { google } = require('googleapis');
+  return google.sheets({ version: 'v4', auth });
+}
 
-    const data = response.data;
-    
-    // Check if email is valid based on the Reoon API response
-    const isValid = data.status === 'valid';
-    
-    return {
-      isValid,
-      data: data,
-      message: isValid ? 'Valid email' : `Invalid email: ${data.status}`
-    };
-  } catch (error) {
-    console.error(`Error verifying email ${email}:`, error.message);
-    return {
-      isValid: false,
-      message: `Error verifying: ${error.message}`
-    };
-  }
+// A1 range on a named tab - the name is quoted, since tab names such as
+// "2024-05-01" or "Q2 Leads" are not valid unquoted
+function sheetRange(sheetName, cells = '') {
+  const quoted = `'${sheetName.replace(/'/g, "''")}'`;
+  return cells ? `${quoted}!${cells}` : quoted;
 }
 
-// Function to parse CSV
-function parseCSV(csvContent) {
-  const lines = csvContent.split('\n');
-  const headers = lines[0].split(',').map(header => header.trim());
-  
-  const data = [headers];
-  
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
-    
-    // Handle commas within quoted fields
-    const values = [];
-    let inQuotes = false;
-    let currentValue = '';
-    
-    for (let j = 0; j < line.length; j++) {
-      const char = line[j];
-      
-      if (char === '"') {
-        inQuotes = !inQuotes;
-      } else if (char === ',' && !inQuotes) {
-        values.push(currentValue);
-        currentValue = '';
-      } else {
-        currentValue += char;
-      }
-    }
-    
-    values.push(currentValue);
-    data.push(values);
-  }
-  
-  return data;
+// Reading a tab that does not exist fails with "Unable to parse range";
+// auth, quota and network errors must not be mistaken for that
+function isMissingSheetError(err) {
+  const status = err.code || (err.response && err.response.status);
+  return Number(status) === 400 && /unable to parse range/i.test(err.message || '');
 }
 
 // Function to append data to Google Sheets
 async function appendToSheet(auth, sheetId, values, sheetName = 'Data') {
-  const sheets = google.sheets({ version: 'v4', auth });
+  const sheets = createSheetsClient(auth);
   
   try {
     // Check if the spreadsheet exists
@@ -110,12 +51,13 @@ async function appendToSheet(auth, sheetId, values, sheetName = 'Data') {
     try {
       const response = await sheets.spreadsheets.values.get({
         spreadsheetId: sheetId,
-        range: `${sheetName}!A:A`,
+        range: sheetRange(sheetName, 'A:A'),
       });
       
       rowCount = response.data.values ? response.data.values.length : 0;
     } catch (err) {
-      // Sheet might not exist yet, create it
+      if (!isMissingSheetError(err)) throw err;
+      // Sheet doesn't exist yet, create it
       await sheets.spreadsheets.batchUpdate({
         spreadsheetId: sheetId,
         resource: {
@@ -138,7 +80,7 @@ async function appendToSheet(auth, sheetId, values, sheetName = 'Data') {
       // First, append a separator row with the date
       await sheets.spreadsheets.values.append({
         spreadsheetId: sheetId,
-        range: `${sheetName}!A${rowCount + 1}`,
+        range: sheetRange(sheetName, `A${rowCount + 1}`),
         valueInputOption: 'RAW',
         insertDataOption: 'INSERT_ROWS',
         resource: {
@@ -149,7 +91,7 @@ async function appendToSheet(auth, sheetId, values, sheetName = 'Data') {
       // Then append the actual data
       const response = await sheets.spreadsheets.values.append({
         spreadsheetId: sheetId,
-        range: `${sheetName}!A${rowCount + 2}`,
+        range: sheetRange(sheetName, `A${rowCount + 2}`),
         valueInputOption: 'RAW',
         insertDataOption: 'INSERT_ROWS',
         resource: {
@@ -163,7 +105,7 @@ async function appendToSheet(auth, sheetId, values, sheetName = 'Data') {
       // No data yet, just append directly
       const response = await sheets.spreadsheets.values.append({
         spreadsheetId: sheetId,
-        range: `${sheetName}!A1`,
+        range: sheetRange(sheetName, 'A1'),
         valueInputOption: 'RAW',
         insertDataOption: 'INSERT_ROWS',
         resource: {
@@ -180,6 +122,171 @@ async function appendToSheet(auth, sheetId, values, sheetName = 'Data') {
   }
 }
 
+// Convert a 0-based column index to a sheet column letter (0 -> A, 26 -> AA)
+function columnLetter(index) {
+  let letter = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
+
+// Key a row by product URL plus maker URL - one row per person per product
+function getRowKey(row, productUrlIndex, makerUrlIndex) {
+  const productUrl = productUrlIndex !== -1 ? (row[productUrlIndex] || '') : '';
+  const makerUrl = makerUrlIndex !== -1 ? (row[makerUrlIndex] || '') : '';
+  return productUrl ? `${productUrl}|${makerUrl}` : '';
+}
+
+// Merge a fresh row into the one already in the sheet
+// Empty cells never blank out earlier data, and a lead that was sent stays
+// "Sent" when a re-run skips it as previously contacted.
+function mergeRow(existingRow, incomingRow, headers) {
+  const instantlyIndex = headers.indexOf('Instantly Status');
+
+  return headers.map((_, index) => {
+    const existing = existingRow[index] || '';
+    const incoming = incomingRow[index] || '';
+
+    if (index === instantlyIndex && existing === 'Sent' && incoming !== 'Suppressed') {
+      return existing;
+    }
+    return incoming !== '' ? incoming : existing;
+  });
+}
+
+// Function to sync data into Google Sheets, keyed by product URL + maker URL
+// Rows already in the sheet are updated in place and new rows are appended,
+// so re-running a day never duplicates anything.
+async function syncToSheet(auth, sheetId, values, sheetName = 'Data') {
+  const sheets = createSheetsClient(auth);
+  
+  try {
+    let existingRows = [];
+    try {
+      const response = await sheets.spreadsheets.values.get({
+        spreadsheetId: sheetId,
+        range: sheetRange(sheetName),
+      });
+      existingRows = response.data.values || [];
+    } catch (err) {
+      if (!isMissingSheetError(err)) throw err;
+      // Sheet doesn't exist yet, create it
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId: sheetId,
+        resource: {
+          requests: [{
+            addSheet: {
+              properties: {
+                title: sheetName
+              }
+            }
+          }]
+        }
+      });
+    }
+    
+    const [incomingHeaders, ...incomingRows] = values;
+    
+    // Empty sheet: write the whole table at once
+    if (existingRows.length === 0) {
+      const response = await sheets.spreadsheets.values.update({
+        spreadsheetId: sheetId,
+        range: sheetRange(sheetName, 'A1'),
+        valueInputOption: 'RAW',
+        resource: { values }
+      });
+      console.log(`${response.data.updatedCells} cells written to new sheet ${sheetName}.`);
+      return { inserted: incomingRows.length, updated: 0 };
+    }
+    
+    // Columns new to the sheet are added at the end of its header
+    const headers = [...existingRows[0]];
+    incomingHeaders.forEach(header => {
+      if (!headers.includes(header)) headers.push(header);
+    });
+    const headerChanged = headers.length !== existingRows[0].length;
+    
+    const productUrlIndex = headers.indexOf('Product URL');
+    const makerUrlIndex = headers.indexOf('Maker URL');
+    if (productUrlIndex === -1) {
+      throw new Error(`Sheet ${sheetName} has no Product URL column to sync on`);
+    }
+    
+    // Index the rows already in the sheet (separator rows have no key)
+    const rowNumbers = new Map();
+    existingRows.slice(1).forEach((row, index) => {
+      const key = getRowKey(row, productUrlIndex, makerUrlIndex);
+      if (key) rowNumbers.set(key, index + 2);
+    });
+    
+    const updates = [];
+    const appends = [];
+    const appendedKeys = new Map();
+    
+    incomingRows.forEach(incoming => {
+      // Line the incoming row up with the sheet's column order
+      const aligned = headers.map(header => {
+        const index = incomingHeaders.indexOf(header);
+        return index === -1 ? '' : (incoming[index] || '');
+      });
+      const key = getRowKey(aligned, productUrlIndex, makerUrlIndex);
+      
+      if (key && rowNumbers.has(key)) {
+        const rowNumber = rowNumbers.get(key);
+        const existing = existingRows[rowNumber - 1];
+        const merged = mergeRow(existing, aligned, headers);
+        if (merged.some((value, index) => value !== (existing[index] || ''))) {
+          existingRows[rowNumber - 1] = merged;
+          updates.push({ range: sheetRange(sheetName, `A${rowNumber}:${columnLetter(headers.length - 1)}${rowNumber}`), values: [merged] });
+        }
+      } else if (key && appendedKeys.has(key)) {
+        // Same person listed twice in one file - keep the latest row
+        appends[appendedKeys.get(key)] = aligned;
+      } else {
+        if (key) appendedKeys.set(key, appends.length);
+        appends.push(aligned);
+      }
+    });
+    
+    if (headerChanged) {
+      updates.push({ range: sheetRange(sheetName, `A1:${columnLetter(headers.length - 1)}1`), values: [headers] });
+    }
+    
+    if (updates.length > 0) {
+      await sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId: sheetId,
+        resource: {
+          valueInputOption: 'RAW',
+          data: updates
+        }
+      });
+    }
+    
+    if (appends.length > 0) {
+      await sheets.spreadsheets.values.append({
+        spreadsheetId: sheetId,
+        range: sheetRange(sheetName, 'A1'),
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        resource: {
+          values: appends
+        }
+      });
+    }
+    
+    const updatedRows = updates.length - (headerChanged ? 1 : 0);
+    console.log(`Synced ${sheetName}: ${appends.length} rows added, ${updatedRows} rows updated.`);
+    return { inserted: appends.length, updated: updatedRows };
+  } catch (err) {
+    console.error('Error syncing data to sheet:', err.message);
+    throw err;
+  }
+}
+
 // Function to find email columns in data
 function findEmailColumns(headers) {
   const emailColumns = [];
@@ -197,64 +304,26 @@ function findEmailColumns(headers) {
   return emailColumns;
 }
 
-// Function to push data to Instantly using API V2
-async function pushToInstantly(rowData) {
-  // Validate input
-  if (!rowData) {
-    console.log('No row data provided to pushToInstantly');
-    return false;
-  }
-
-  console.log('Received row data in pushToInstantly: ' + JSON.stringify(rowData));
-
-  try {
-    // Extract email and first name directly from the provided object
-    const email = rowData.email;
-    const firstName = rowData.first_name || '';
-
-    if (!email) {
-      throw new Error('Email not provided to pushToInstantly');
-    }
-
-    // Prepare the lead data for V2 API
-    // V2 API uses snake_case for field names
-    const payload = {
-      email: email,
-      first_name: firstName,
-      campaign: INSTANTLY_CONFIG.campaignId,
-      payload: {
-        // Custom variables are now in the payload field
-        source: 'Product Hunt'
-      }
-    };
-
-    console.log('Created lead payload for V2 API: ' + JSON.stringify(payload));
-
-    const options = {
-      method: 'post',
-      url: INSTANTLY_CONFIG.apiUrl,
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${INSTANTLY_CONFIG.apiToken}` // V2 uses Bearer token auth
-      },
-      data: payload
-    };
-
-    const response = await axios(options);
-    console.log('Instantly API V2 Response:', response.status, response.data);
-
-    return response.status === 200 || response.status === 201;
-  } catch (error) {
-    console.error('Error in pushToInstantly with V2 API:', error.message);
-    if (error.response) {
-      console.error('API Error Details:', error.response.data);
-    }
-    return false;
-  }
+// Collect the addresses from every email column in a row
+function findRowEmails(row, emailColumns) {
+  return emailColumns
+    .filter(colIndex => colIndex < row.length && row[colIndex] && row[colIndex].trim())
+    .map(colIndex => row[colIndex].trim());
 }
 
 // Function to verify and add status column (no filtering)
-async function verifyAndFilterData(data) {
+// Makers or emails exported or pushed on an earlier run are marked "Previously Contacted"
+// and, unless options.skipPreviouslyContacted is false, are not sent again.
+// Rows on the suppression list are never verified or sent.
+// Valid leads are queued and pushed to Instantly in batches once every row
+// has been verified; options.instantly holds the Instantly settings.
+async function verifyAndFilterData(data, options = {}) {
+  const instantly = options.instantly || {};
+  const db = options.db || null;
+  const suppressionList = options.suppressionList || loadSuppressionList();
+  const verifier = options.verifier || createEmailVerifier({ db });
+  const skipPreviouslyContacted = options.skipPreviouslyContacted !== false;
+
   if (!data || data.length < 2) {
     return data; // No data or just headers
   }
@@ -272,8 +341,17 @@ async function verifyAndFilterData(data) {
   // Add email verification status columns if they don't exist
   headers.push('Email Verification Status');
   headers.push('Instantly Status');
+  headers.push('First Contacted');
+  headers.push('Suppression Reason');
+  
+  const makerUrlIndex = headers.indexOf('Maker URL');
+  const productUrlIndex = headers.indexOf('Product URL');
+  
+  const instantlyStatusIndex = headers.indexOf('Instantly Status');
   
   const processedData = [headers]; // Start with headers
+  const queue = []; // Leads waiting for the Instantly push
+  const queuedKeys = new Set(); // Emails and maker URLs already queued in this run
   
   // Process each row (skipping header)
   for (let i = 1; i < data.length; i++) {
@@ -284,6 +362,37 @@ async function verifyAndFilterData(data) {
     let instantlyStatus = 'Not Sent';
     let validEmail = null;
     
+    const makerUrl = makerUrlIndex !== -1 ? (row[makerUrlIndex] || '') : '';
+    const productUrl = productUrlIndex !== -1 ? (row[productUrlIndex] || '') : '';
+    
+    const rowEmails = findRowEmails(row, emailColumns);
+    
+    // Check whether this maker or email was already contacted on an earlier run
+    const previousOutreach = db ? getPreviousOutreach(db, { emails: rowEmails, makerUrl }) : null;
+    const firstContacted = previousOutreach ? previousOutreach.firstContactedAt.split('T')[0] : '';
+    
+    // Suppressed rows are kept in the sheet, with the reason, but never contacted
+    const suppression = findSuppression(suppressionList, { emails: rowEmails, makerUrl });
+    if (suppression) {
+      console.log(`Skipping row ${i}: suppressed (${formatSuppressionReason(suppression)})`);
+      rowWithVerification.push('Not Checked');
+      rowWithVerification.push('Suppressed');
+      rowWithVerification.push(firstContacted);
+      rowWithVerification.push(formatSuppressionReason(suppression));
+      processedData.push(rowWithVerification);
+      continue;
+    }
+    
+    if (previousOutreach && skipPreviouslyContacted) {
+      console.log(`Skipping row ${i}: previously contacted on ${firstContacted}`);
+      rowWithVerification.push('Not Checked');
+      rowWithVerification.push('Previously Contacted');
+      rowWithVerification.push(firstContacted);
+      rowWithVerification.push('');
+      processedData.push(rowWithVerification);
+      continue;
+    }
+    
     // Check each email column in the row
     for (const colIndex of emailColumns) {
       if (colIndex >= row.length) continue;
@@ -291,7 +400,8 @@ async function verifyAndFilterData(data) {
       const email = row[colIndex];
       
       if (email && email.trim()) {
-        const verificationResult = await verifyEmail(email.trim());
+        console.log(`Verifying email: ${email.trim()}`);
+        const verificationResult = await verifier.verify(email.trim());
         
         if (verificationResult.isValid) {
           emailStatus = 'Valid';
@@ -304,58 +414,156 @@ async function verifyAndFilterData(data) {
       }
     }
     
-    // If we have a valid email, push to Instantly
+    // If we have a valid email, queue the lead for Instantly
     if (emailStatus === 'Valid' && validEmail) {
-      // Find the name column if it exists
-      const nameColumnIndex = headers.findIndex(header => 
-        header.toLowerCase().includes('name') || 
-        header.toLowerCase().includes('maker'));
-      
-      // Push to Instantly
-      const pushResult = await pushToInstantly({
-        email: validEmail,
-        first_name: nameColumnIndex !== -1 && row[nameColumnIndex] ? row[nameColumnIndex] : ''
-      });
+      const emailKey = validEmail.toLowerCase();
       
-      instantlyStatus = pushResult ? 'Sent' : 'Failed';
-      console.log(`Instantly push for row ${i}: ${instantlyStatus}`);
+      if (queuedKeys.has(emailKey) || (makerUrl && queuedKeys.has(makerUrl))) {
+        // Same maker on several of today's products - contact them once
+        instantlyStatus = 'Duplicate';
+      } else {
+        const record = {};
+        headers.forEach((header, index) => {
+          record[header] = row[index] || '';
+        });
+        
+        queue.push({
+          rowIndex: processedData.length,
+          lead: buildLead(record, validEmail),
+          campaignId: resolveCampaign(record, instantly.campaignRules, instantly.campaignId),
+          email: validEmail,
+          makerUrl,
+          productUrl
+        });
+        queuedKeys.add(emailKey);
+        if (makerUrl) queuedKeys.add(makerUrl);
+        instantlyStatus = 'Queued';
+      }
     }
     
     // Add verification status and include all rows
     rowWithVerification.push(emailStatus);
     rowWithVerification.push(instantlyStatus);
+    rowWithVerification.push(firstContacted);
+    rowWithVerification.push('');
     processedData.push(rowWithVerification);
   }
   
+  // Without an Instantly token the leads are only exported to the sheet
+  if (queue.length > 0 && !instantly.apiToken) {
+    console.log(`Instantly is not configured: ${queue.length} leads exported without a push`);
+    queue.forEach(item => {
+      processedData[item.rowIndex][instantlyStatusIndex] = 'Not Sent';
+    });
+  } else if (queue.length > 0) {
+    // Push the queued leads and fill in their Instantly status
+    console.log(`Pushing ${queue.length} leads to Instantly...`);
+    const statuses = await pushLeadsToInstantly(queue, {
+      apiToken: instantly.apiToken,
+      apiUrl: instantly.apiUrl,
+      batchSize: instantly.batchSize,
+      skipIfInWorkspace: instantly.skipIfInWorkspace,
+      suppressionList
+    });
+    
+    queue.forEach((item, index) => {
+      processedData[item.rowIndex][instantlyStatusIndex] = statuses[index];
+      if (statuses[index] === 'Sent' && db) {
+        recordOutreach(db, { email: item.email, makerUrl: item.makerUrl, productUrl: item.productUrl, status: 'pushed' });
+      }
+    });
+    
+    const sent = statuses.filter(status => status === 'Sent').length;
+    console.log(`Instantly push finished: ${sent} of ${queue.length} leads sent`);
+  }
+  
   console.log(`Processed all ${data.length} rows (including header)`);
   return processedData;
 }
 
+// Function to remember the exported leads, so later runs mark them
+// "Previously Contacted". Rows sent to Instantly are recorded when the push
+// succeeds; this records the valid rows exported while no push was
+// configured ("Not Sent"). Failed pushes, Instantly duplicates, suppressed
+// rows and repeats are left out, so they are tried again on the next run.
+function recordExportedRows(db, rows) {
+  const headers = rows[0];
+  const statusIndex = headers.indexOf('Email Verification Status');
+  const instantlyStatusIndex = headers.indexOf('Instantly Status');
+  const makerUrlIndex = headers.indexOf('Maker URL');
+  const productUrlIndex = headers.indexOf('Product URL');
+  const emailColumns = findEmailColumns(headers).filter(index => index !== statusIndex);
+  
+  let recorded = 0;
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (row[statusIndex] !== 'Valid' || row[instantlyStatusIndex] !== 'Not Sent') continue;
+    
+    const makerUrl = makerUrlIndex !== -1 ? (row[makerUrlIndex] || '') : '';
+    const productUrl = productUrlIndex !== -1 ? (row[productUrlIndex] || '') : '';
+    findRowEmails(row, emailColumns).forEach(email => {
+      recordOutreach(db, { email, makerUrl, productUrl, status: 'exported' });
+    });
+    recorded++;
+  }
+  
+  console.log(`Recorded ${recorded} exported leads`);
+}
+
 // Main function
-async function uploadCSVToGoogleSheets(csvFilePath) {
+// config defaults to the settings from config.js (file and env, no CLI flags)
+async function uploadCSVToGoogleSheets(csvFilePath, config) {
+  let db = null;
   try {
-    // Get the Google Sheet ID from environment variables
-    const googleSheetId = process.env.GOOGLE_SHEET_ID;
-    if (!googleSheetId) {
-      throw new Error('GOOGLE_SHEET_ID not found in environment variables');
+    if (!config) {
+      config = loadConfig({ argv: [] });
     }
     
+    // Fail before touching any lead if an integration is not set up
+    requireSettings(config, [
+      'googleSheetId',
+      'instantlyApiToken',
+      'instantlyCampaignId',
+      ...(config.emailVerifier === 'reoon' ? ['reoonApiKey'] : [])
+    ]);
+    const googleSheetId = config.googleSheetId;
+    
     // Check if credential file exists
     const credentialsPath = path.join(__dirname, 'google-credentials.json');
     if (!fs.existsSync(credentialsPath)) {
       throw new Error('google-credentials.json not found. Please create this file with your Google API credentials.');
     }
     
-    // Read the file and extract the date from filename
+    // Read and parse the CSV file
     console.log(`Reading CSV file: ${csvFilePath}`);
-    const csvContent = fs.readFileSync(csvFilePath, 'utf8');
-    
-    // Parse the CSV content
-    const data = parseCSV(csvContent);
+    const data = await readCSVFile(csvFilePath);
     
     // Verify emails and filter data
     console.log('Verifying emails and filtering data...');
-    const verifiedData = await verifyAndFilterData(data);
+    // The scraper's database remembers who was contacted on earlier runs
+    db = openDatabase(config.databasePath || undefined);
+    const verifiedData = await verifyAndFilterData(data, {
+      db,
+      skipPreviouslyContacted: config.skipPreviouslyContacted,
+      suppressionList: loadSuppressionList(config.suppressionListPath || undefined),
+      verifier: createEmailVerifier({
+        db,
+        provider: config.emailVerifier,
+        apiKey: config.reoonApiKey,
+        mode: config.reoonMode,
+        allowRoleAccounts: config.allowRoleAccounts,
+        smtpProbe: config.emailSmtpProbe,
+        cacheTtlDays: config.emailVerificationTtlDays
+      }),
+      instantly: {
+        apiToken: config.instantlyApiToken,
+        campaignId: config.instantlyCampaignId,
+        campaignRules: config.instantlyCampaignRules,
+        apiUrl: config.instantlyApiUrl,
+        batchSize: config.instantlyBatchSize,
+        skipIfInWorkspace: config.instantlySkipIfInWorkspace
+      }
+    });
     
     if (verifiedData.length <= 1) {
       console.log('No valid data rows after email verification. Skipping upload.');
@@ -363,37 +571,56 @@ async function uploadCSVToGoogleSheets(csvFilePath) {
     }
     
     // Extract date from filename (used for logging only)
-    const filenameMatch = path.basename(csvFilePath).match(/product_hunt_data_(\d{4}-\d{2}-\d{2})\.csv/);
+    const filenameMatch = path.basename(csvFilePath).match(/product_hunt_data_((?:(?:weekly|monthly|yearly)_)?\d{4}(?:-W?\d{2}){0,2})\.csv/);
     const fileDate = filenameMatch ? filenameMatch[1] : new Date().toISOString().split('T')[0];
     
     // Create auth client
+    const { GoogleAuth } = require('google-auth-library');
     const auth = new GoogleAuth({
       keyFile: credentialsPath,
       scopes: SCOPES,
     });
     
-    // Upload to Google Sheets
-    console.log(`Uploading verified data to Google Sheets for date: ${fileDate}...`);
-    await appendToSheet(auth, googleSheetId, verifiedData);
+    // Upload to Google Sheets - one tab per day, or everything in one tab
+    const sheetName = config.sheetPerDay ? fileDate : config.sheetName;
+    console.log(`Uploading verified data to Google Sheets for date: ${fileDate} (${config.sheetSyncMode} into ${sheetName})...`);
+    if (config.sheetSyncMode === 'append') {
+      await appendToSheet(auth, googleSheetId, verifiedData, sheetName);
+    } else {
+      await syncToSheet(auth, googleSheetId, verifiedData, sheetName);
+    }
+    
+    recordExportedRows(db, verifiedData);
     
     console.log(`Successfully uploaded verified data from ${csvFilePath} to Google Sheets!`);
     return true;
   } catch (error) {
     console.error(`Error uploading CSV to Google Sheets: ${error.message}`);
     return false;
+  } finally {
+    if (db) db.close();
   }
 }
 
 // If script is run directly, process command line arguments
 if (require.main === module) {
-  const csvFilePath = process.argv[2];
+  const csvFilePath = parseArgs(process.argv.slice(2)).positionals[0];
   
   if (!csvFilePath) {
-    console.log('Usage: node google-sheets-exporter.js <path-to-csv-file>');
+    console.log('Usage: node google-sheets-exporter.js <path-to-csv-file> [--setting=value ...]');
+    process.exit(1);
+  }
+  
+  let config;
+  try {
+    config = loadConfig();
+  } catch (error) {
+    console.error(error.message);
     process.exit(1);
   }
+  console.log(`Configuration:\n${formatConfig(config)}`);
   
-  uploadCSVToGoogleSheets(csvFilePath)
+  uploadCSVToGoogleSheets(csvFilePath, config)
     .then(success => {
       process.exit(success ? 0 : 1);
     })
@@ -403,5 +630,5 @@ if (require.main === module) {
     });
 } else {
   // Export for use in other scripts
-  module.exports = { uploadCSVToGoogleSheets }; 
+  module.exports = { uploadCSVToGoogleSheets, verifyAndFilterData, recordExportedRows, sheetRange, isMissingSheetError };
 }
\ No newline at end of file
@@ -4,20 +4,25 @@
 // - Maker contact info (email, Twitter, LinkedIn) for top 3 makers
 // - Product website 
 
-require('dotenv').config();
 const puppeteer = require('puppeteer');
+const { loadConfig, formatConfig } = require('./config');
 const { scrapeProductHunt } = require('./scraper');
+const { buildLeaderboardUrl, getBrowserLaunchOptions } = require('./utils');
 const fs = require('fs');
 const path = require('path');
 
-// Get configuration from environment variables or use defaults
-const HEADLESS = process.env.HEADLESS === 'true';
-const MAX_PRODUCTS = parseInt(process.env.MAX_PRODUCTS || '20', 10);
-const DELAY_BETWEEN_REQUESTS = parseInt(process.env.DELAY_BETWEEN_REQUESTS || '2000', 10);
-const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
-const TARGET_URL = process.env.TARGET_URL || 'https://www.producthunt.com/leaderboard/daily/2025/3/17/all';
-const MAX_MAKERS_PER_PRODUCT = parseInt(process.env.MAX_MAKERS_PER_PRODUCT || '3', 10);
-const SKIP_COMMENTS = process.env.SKIP_COMMENTS === 'true';
+// Settings come from phscraper.config.json, env vars and --flags (see config.js)
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// leaderboardPeriod (daily, weekly, monthly, yearly) builds the current period's URL when targetUrl is not set
+const TARGET_URL = config.targetUrl ||
+  (config.leaderboardPeriod ? buildLeaderboardUrl(config.leaderboardPeriod, new Date()) : 'https://www.producthunt.com/leaderboard/daily/2025/3/17/all');
 
 // Create logs directory if it doesn't exist
 const logsDir = path.join(__dirname, 'logs');
@@ -36,39 +41,22 @@ function log(message) {
 // Main function to run the scraper
 async function main() {
   log('Starting Product Hunt Scraper...');
-  log(`Configuration: MAX_PRODUCTS=${MAX_PRODUCTS}, HEADLESS=${HEADLESS}, DEBUG_MODE=${DEBUG_MODE}`);
-  log(`Additional settings: MAX_MAKERS_PER_PRODUCT=${MAX_MAKERS_PER_PRODUCT}, SKIP_COMMENTS=${SKIP_COMMENTS}`);
+  log(`Configuration:\n${formatConfig(config)}`);
   log(`Target URL: ${TARGET_URL}`);
   
   let browser;
   
   try {
     // Launch browser with additional options
-    const launchOptions = {
-      headless: HEADLESS,
-      defaultViewport: { width: 1366, height: 768 },
-      args: [
-        '--window-size=1366,768',
-        '--disable-features=site-per-process',
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-         '--disable-gpu',
-    '--disable-software-rasterizer'
-      ]
-    };
+    const launchOptions = getBrowserLaunchOptions(config.headless);
     
     log('Launching browser...');
     browser = await puppeteer.launch(launchOptions);
     
     // Run the scraper
     await scrapeProductHunt(browser, {
-      maxProducts: MAX_PRODUCTS,
-      delayBetweenRequests: DELAY_BETWEEN_REQUESTS,
-      debugMode: DEBUG_MODE,
-      targetUrl: TARGET_URL,
-      maxMakersPerProduct: MAX_MAKERS_PER_PRODUCT,
-      skipComments: SKIP_COMMENTS
+      ...config,
+      targetUrl: TARGET_URL
     });
     
     log('Scraping completed successfully!');
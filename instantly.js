@@ -0,0 +1,186 @@
+// Instantly Module
+// Turns exported rows into Instantly leads - maker first / last name, product
+// custom variables and a campaign picked by routing rules - and adds them
+// through the V2 bulk endpoint, letting Instantly skip leads it already has.
+const axios = require('axios');
+const { findSuppression } = require('./suppressionList');
+
+const DEFAULT_BULK_API_URL = 'https://api.instantly.ai/api/v2/leads/add';
+
+// Instantly accepts at most 1000 leads per bulk call
+const MAX_BATCH_SIZE = 1000;
+
+/**
+ * Split a Product Hunt display name into first and last name
+ * Display names carry emoji, titles and taglines ("Jane Doe 🚀 | Founder @ Acme"),
+ * so only the leading personal name is kept.
+ * @param {string} fullName - Maker display name
+ * @returns {Object} - { firstName, lastName }
+ */
+function parseMakerName(fullName) {
+  let name = (fullName || '')
+    // Drop taglines after a separator
+    .split(/\s[|–—-]\s|[|(,@/·•]/)[0]
+    // Keep letters (any script), marks, apostrophes, hyphens, dots and spaces
+    .replace(/[^\p{L}\p{M}'’.\-\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // Honorifics are not first names
+  name = name.replace(/^(?:dr|mr|mrs|ms|mx|prof)\.?\s+/i, '');
+
+  const tokens = name.split(' ').filter(token => /\p{L}/u.test(token));
+  if (tokens.length === 0) return { firstName: '', lastName: '' };
+
+  // Handles like "janedoe" read better as "Janedoe" in a greeting
+  const capitalize = token => (token === token.toLowerCase() ? token.charAt(0).toUpperCase() + token.slice(1) : token);
+
+  return {
+    firstName: capitalize(tokens[0]),
+    lastName: tokens.slice(1).map(capitalize).join(' ')
+  };
+}
+
+/**
+ * Read a numeric rank from a row, preferring the leaderboard rank
+ * @param {Object} record - Row keyed by column title
+ * @returns {number|null} - Rank or null if unknown
+ */
+function getLaunchRank(record) {
+  const rank = parseInt(record['Leaderboard Rank'] || record['Daily Rank'] || '', 10);
+  return isNaN(rank) ? null : rank;
+}
+
+/**
+ * Pick the campaign for a lead
+ * Rules are checked in order and the first match wins. A rule matches when
+ * every condition it sets holds: topics (any of), roles (any of), minRank
+ * and maxRank (inclusive).
+ * @param {Object} record - Row keyed by column title
+ * @param {Array} rules - [{ campaignId, topics, roles, minRank, maxRank }]
+ * @param {string} defaultCampaignId - Campaign for leads no rule matches
+ * @returns {string} - Campaign ID
+ */
+function resolveCampaign(record, rules, defaultCampaignId) {
+  const topics = (record['Topics'] || '').split(';').map(topic => topic.trim().toLowerCase()).filter(Boolean);
+  const role = (record['Role'] || '').toLowerCase();
+  const rank = getLaunchRank(record);
+
+  const rule = (rules || []).find(candidate => {
+    if (candidate.topics && !candidate.topics.some(topic => topics.includes(topic.toLowerCase()))) return false;
+    if (candidate.roles && !candidate.roles.map(item => item.toLowerCase()).includes(role)) return false;
+    if (candidate.minRank !== undefined && (rank === null || rank < candidate.minRank)) return false;
+    if (candidate.maxRank !== undefined && (rank === null || rank > candidate.maxRank)) return false;
+    return true;
+  });
+
+  return rule ? rule.campaignId : defaultCampaignId;
+}
+
+/**
+ * Build an Instantly lead from an exported row
+ * @param {Object} record - Row keyed by column title
+ * @param {string} email - Verified email address
+ * @returns {Object} - Lead in Instantly V2 format
+ */
+function buildLead(record, email) {
+  const { firstName, lastName } = parseMakerName(record['Maker Name']);
+
+  return {
+    email,
+    first_name: firstName,
+    last_name: lastName,
+    company_name: record['Product Name'] || '',
+    website: record['Product Website'] || '',
+    custom_variables: {
+      source: 'Product Hunt',
+      productName: record['Product Name'] || '',
+      tagline: record['Tagline'] || '',
+      productHuntUrl: record['Product URL'] || '',
+      launchRank: getLaunchRank(record) === null ? '' : String(getLaunchRank(record)),
+      topics: record['Topics'] || '',
+      makerProfile: record['Maker URL'] || '',
+      role: record['Role'] || ''
+    }
+  };
+}
+
+/**
+ * Add leads to Instantly in batches, one bulk call per campaign per batch
+ * @param {Array} items - [{ lead, campaignId, makerUrl }]
+ * @param {Object} options - Push options
+ * @param {string} options.apiToken - Instantly V2 API token
+ * @param {string} options.apiUrl - Bulk leads endpoint
+ * @param {number} options.batchSize - Leads per API call
+ * @param {boolean} options.skipIfInWorkspace - Let Instantly skip leads already in the workspace
+ * @param {Object} options.suppressionList - Suppression list; suppressed leads are never sent
+ * @returns {Promise<Array>} - Status per item: 'Sent', 'Duplicate in Instantly', 'Suppressed' or 'Failed'
+ */
+async function pushLeadsToInstantly(items, options = {}) {
+  const apiUrl = options.apiUrl || DEFAULT_BULK_API_URL;
+  const batchSize = Math.min(options.batchSize || 100, MAX_BATCH_SIZE);
+  const skipIfInWorkspace = options.skipIfInWorkspace !== false;
+  const statuses = new Array(items.length).fill('Failed');
+
+  // Group by campaign, never letting a suppressed lead through
+  const campaigns = new Map();
+  items.forEach((item, index) => {
+    if (options.suppressionList && findSuppression(options.suppressionList, { emails: [item.lead.email], makerUrl: item.makerUrl || '' })) {
+      console.log(`Not pushing ${item.lead.email} to Instantly: suppressed`);
+      statuses[index] = 'Suppressed';
+      return;
+    }
+    if (!campaigns.has(item.campaignId)) campaigns.set(item.campaignId, []);
+    campaigns.get(item.campaignId).push(index);
+  });
+
+  for (const [campaignId, indexes] of campaigns) {
+    for (let start = 0; start < indexes.length; start += batchSize) {
+      const batch = indexes.slice(start, start + batchSize);
+
+      try {
+        const response = await axios({
+          method: 'post',
+          url: apiUrl,
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${options.apiToken}` // V2 uses Bearer token auth
+          },
+          data: {
+            campaign_id: campaignId,
+            skip_if_in_workspace: skipIfInWorkspace,
+            leads: batch.map(index => items[index].lead)
+          }
+        });
+
+        // created_leads lists what was actually added; anything else in the
+        // batch was skipped as a duplicate on Instantly's side
+        const created = Array.isArray(response.data && response.data.created_leads)
+          ? new Set(response.data.created_leads.map(lead => (lead.email || '').toLowerCase()))
+          : null;
+
+        batch.forEach(index => {
+          const email = items[index].lead.email.toLowerCase();
+          statuses[index] = !created || created.has(email) ? 'Sent' : 'Duplicate in Instantly';
+        });
+
+        console.log(`Instantly batch for campaign ${campaignId}: ${batch.length} leads, response ${response.status}`);
+      } catch (error) {
+        console.error(`Error pushing ${batch.length} leads to Instantly campaign ${campaignId}:`, error.message);
+        if (error.response) {
+          console.error('API Error Details:', error.response.data);
+        }
+      }
+    }
+  }
+
+  return statuses;
+}
+
+module.exports = {
+  DEFAULT_BULK_API_URL,
+  parseMakerName,
+  resolveCampaign,
+  buildLead,
+  pushLeadsToInstantly
+};
@@ -0,0 +1,229 @@
+// Output Formats Module
+// Writes a leaderboard's results in formats other than the flat CSV: nested
+// JSON, NDJSON (one product per line, streamed) and XLSX with a products
+// sheet, a makers sheet and an emails sheet listing every address found.
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { buildProductDocument } = require('./outputRows');
+
+const OUTPUT_FORMATS = ['json', 'ndjson', 'xlsx'];
+
+/**
+ * Derive an output path from the CSV path (product_hunt_data_X.csv -> product_hunt_data_X.json)
+ * @param {string} csvFilePath - Path of the product CSV
+ * @param {string} format - 'json', 'ndjson' or 'xlsx'
+ * @returns {string} - Output file path
+ */
+function getOutputFilePath(csvFilePath, format) {
+  const base = path.basename(csvFilePath, path.extname(csvFilePath));
+  return path.join(path.dirname(csvFilePath), `${base}.${format}`);
+}
+
+/**
+ * Write one JSON document holding every product
+ * @param {string} filePath - Output path
+ * @param {Array} documents - Nested product records
+ * @param {Object} meta - { leaderboardUrl, extractedDate }
+ */
+function writeJson(filePath, documents, meta) {
+  const data = {
+    leaderboardUrl: meta.leaderboardUrl,
+    extractedDate: meta.extractedDate,
+    generatedAt: new Date().toISOString(),
+    products: documents
+  };
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Stream one product per line
+ * @param {string} filePath - Output path
+ * @param {Array} documents - Nested product records
+ * @returns {Promise} - Resolves once the file is flushed
+ */
+function writeNdjson(filePath, documents) {
+  return new Promise((resolve, reject) => {
+    const stream = fs.createWriteStream(filePath);
+    stream.on('error', reject);
+    stream.on('finish', resolve);
+
+    let index = 0;
+    const writeNext = () => {
+      while (index < documents.length) {
+        const ok = stream.write(`${JSON.stringify(documents[index++])}\n`);
+        if (!ok) {
+          stream.once('drain', writeNext);
+          return;
+        }
+      }
+      stream.end();
+    };
+    writeNext();
+  });
+}
+
+/**
+ * Write a workbook with a Products sheet (one row per product), a Makers
+ * sheet (one row per maker, linked back by product URL) and an Emails sheet
+ * (every address found on a product website or maker profile, best first)
+ * @param {string} filePath - Output path
+ * @param {Array} documents - Nested product records
+ * @returns {Promise} - Resolves once the file is written
+ */
+async function writeXlsx(filePath, documents) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const products = workbook.addWorksheet('Products');
+  products.columns = [
+    { header: 'Product Name', key: 'name', width: 30 },
+    { header: 'Product URL', key: 'url', width: 45 },
+    { header: 'Product Website', key: 'website', width: 35 },
+    { header: 'Status', key: 'status', width: 10 },
+    { header: 'Extracted Date', key: 'extractedDate', width: 14 },
+    { header: 'Leaderboard Rank', key: 'rank', width: 10 },
+    { header: 'Leaderboard Upvotes', key: 'leaderboardUpvotes', width: 10 },
+    { header: 'Tagline', key: 'tagline', width: 45 },
+    { header: 'Topics', key: 'topics', width: 30 },
+    { header: 'Upvotes', key: 'upvotes', width: 10 },
+    { header: 'Comment Count', key: 'commentCount', width: 10 },
+    { header: 'Daily Rank', key: 'dailyRank', width: 10 },
+    { header: 'Launch Date', key: 'launchDate', width: 14 },
+    { header: 'Pricing', key: 'pricing', width: 10 },
+    { header: 'Hunter Name', key: 'hunterName', width: 20 },
+    { header: 'Hunter URL', key: 'hunterUrl', width: 40 },
+    { header: 'Website Email', key: 'email', width: 30 },
+    { header: 'Website Twitter', key: 'twitter', width: 30 },
+    { header: 'Website LinkedIn', key: 'linkedin', width: 35 },
+    { header: 'Website Contact Page', key: 'contactPage', width: 35 },
+    { header: 'Maker Count', key: 'makerCount', width: 10 }
+  ];
+
+  const makers = workbook.addWorksheet('Makers');
+  makers.columns = [
+    { header: 'Product URL', key: 'productUrl', width: 45 },
+    { header: 'Maker Name', key: 'name', width: 25 },
+    { header: 'Maker URL', key: 'url', width: 40 },
+    { header: 'Role', key: 'role', width: 10 },
+    { header: 'Email', key: 'email', width: 30 },
+    { header: 'X (Twitter) ID', key: 'twitter', width: 20 },
+    { header: 'LinkedIn URL', key: 'linkedin', width: 35 },
+    { header: 'Headline', key: 'headline', width: 35 },
+    { header: 'Followers', key: 'followers', width: 10 },
+    { header: 'Website', key: 'website', width: 30 },
+    { header: 'GitHub', key: 'github', width: 30 },
+    { header: 'Streak', key: 'streak', width: 10 },
+    { header: 'Join Date', key: 'joinDate', width: 14 }
+  ];
+
+  const emails = workbook.addWorksheet('Emails');
+  emails.columns = [
+    { header: 'Product URL', key: 'productUrl', width: 45 },
+    { header: 'Maker URL', key: 'makerUrl', width: 40 },
+    { header: 'Email', key: 'email', width: 30 },
+    { header: 'Type', key: 'type', width: 10 },
+    { header: 'Confidence', key: 'confidence', width: 10 },
+    { header: 'Method', key: 'method', width: 10 },
+    { header: 'Source Page', key: 'sourcePage', width: 45 }
+  ];
+
+  const addEmailRows = (productUrl, makerUrl, candidates) => {
+    candidates.forEach(candidate => {
+      emails.addRow({ productUrl, makerUrl, ...candidate });
+    });
+  };
+
+  documents.forEach(doc => {
+    addEmailRows(doc.url, '', doc.contacts.emails);
+
+    products.addRow({
+      name: doc.name,
+      url: doc.url,
+      website: doc.website,
+      status: doc.status,
+      extractedDate: doc.extractedDate,
+      rank: doc.leaderboard.rank,
+      leaderboardUpvotes: doc.leaderboard.upvotes,
+      tagline: doc.tagline,
+      topics: doc.topics.join('; '),
+      upvotes: doc.upvotes,
+      commentCount: doc.commentCount,
+      dailyRank: doc.dailyRank,
+      launchDate: doc.launchDate,
+      pricing: doc.pricing,
+      hunterName: doc.hunter.name,
+      hunterUrl: doc.hunter.url,
+      email: doc.contacts.email,
+      twitter: doc.contacts.twitter,
+      linkedin: doc.contacts.linkedin,
+      contactPage: doc.contacts.contactPage,
+      makerCount: doc.makers.length
+    });
+
+    doc.makers.forEach(maker => {
+      makers.addRow({
+        productUrl: doc.url,
+        name: maker.name,
+        url: maker.url,
+        role: maker.role,
+        email: maker.contacts.email,
+        twitter: maker.contacts.twitter,
+        linkedin: maker.contacts.linkedin,
+        headline: maker.headline,
+        followers: maker.followers,
+        website: maker.website,
+        github: maker.github,
+        streak: maker.streak,
+        joinDate: maker.joinDate
+      });
+
+      addEmailRows(doc.url, maker.url, maker.contacts.emails);
+    });
+  });
+
+  [products, makers, emails].forEach(sheet => {
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  });
+
+  await workbook.xlsx.writeFile(filePath);
+}
+
+/**
+ * Write the results in every requested format next to the CSV
+ * @param {string} csvFilePath - Path of the product CSV (other files sit beside it)
+ * @param {Array} results - Entries from getLeaderboardResults
+ * @param {Array} formats - Any of 'json', 'ndjson', 'xlsx'
+ * @param {Object} meta - { leaderboardUrl, extractedDate }
+ * @returns {Promise<Array>} - Paths of the files written
+ */
+async function writeOutputFormats(csvFilePath, results, formats, meta) {
+  const documents = results.map(buildProductDocument);
+  const written = [];
+
+  for (const format of formats) {
+    const filePath = getOutputFilePath(csvFilePath, format);
+
+    if (format === 'json') {
+      writeJson(filePath, documents, meta);
+    } else if (format === 'ndjson') {
+      await writeNdjson(filePath, documents);
+    } else if (format === 'xlsx') {
+      await writeXlsx(filePath, documents);
+    } else {
+      throw new Error(`Unknown output format "${format}" - expected one of ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    console.log(`Wrote ${documents.length} products as ${format.toUpperCase()} to ${filePath}`);
+    written.push(filePath);
+  }
+
+  return written;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  getOutputFilePath,
+  writeOutputFormats
+};
@@ -0,0 +1,238 @@
+// Output Rows Module
+// Defines the CSV columns and turns scraped products into flat output rows.
+const path = require('path');
+
+// Columns of the product CSV - one row per product and contacted person
+const PRODUCT_CSV_HEADER = [
+  { id: 'productName', title: 'Product Name' },
+  { id: 'productUrl', title: 'Product URL' },
+  { id: 'productWebsite', title: 'Product Website' },
+  { id: 'makerName', title: 'Maker Name' },
+  { id: 'makerUrl', title: 'Maker URL' },
+  { id: 'role', title: 'Role' },
+  { id: 'email', title: 'Email' },
+  { id: 'xId', title: 'X (Twitter) ID' },
+  { id: 'linkedinUrl', title: 'LinkedIn URL' },
+  { id: 'makerHeadline', title: 'Maker Headline' },
+  { id: 'makerBio', title: 'Maker Bio' },
+  { id: 'makerFollowers', title: 'Maker Followers' },
+  { id: 'makerWebsite', title: 'Maker Website' },
+  { id: 'makerGithub', title: 'Maker GitHub' },
+  { id: 'makerProducts', title: 'Maker Products' },
+  { id: 'makerProductCount', title: 'Maker Product Count' },
+  { id: 'makerStreak', title: 'Maker Streak' },
+  { id: 'makerBadges', title: 'Maker Badges' },
+  { id: 'makerJoinDate', title: 'Maker Join Date' },
+  { id: 'websiteEmail', title: 'Website Email' },
+  { id: 'websiteTwitter', title: 'Website Twitter' },
+  { id: 'websiteLinkedin', title: 'Website LinkedIn' },
+  { id: 'websiteContactPage', title: 'Website Contact Page' },
+  { id: 'extractedDate', title: 'Extracted Date' },
+  { id: 'leaderboardRank', title: 'Leaderboard Rank' },
+  { id: 'leaderboardSize', title: 'Leaderboard Size' },
+  { id: 'leaderboardUpvotes', title: 'Leaderboard Upvotes' },
+  { id: 'leaderboardComments', title: 'Leaderboard Comments' },
+  { id: 'tagline', title: 'Tagline' },
+  { id: 'description', title: 'Description' },
+  { id: 'topics', title: 'Topics' },
+  { id: 'upvotes', title: 'Upvotes' },
+  { id: 'commentCount', title: 'Comment Count' },
+  { id: 'dailyRank', title: 'Daily Rank' },
+  { id: 'launchDate', title: 'Launch Date' },
+  { id: 'pricing', title: 'Pricing' },
+  { id: 'thumbnailUrl', title: 'Thumbnail URL' },
+  { id: 'galleryUrls', title: 'Gallery URLs' },
+  { id: 'hunterName', title: 'Hunter Name' },
+  { id: 'hunterUrl', title: 'Hunter URL' }
+];
+
+// Columns of the comments CSV - one row per comment, linked by product URL
+const COMMENT_CSV_HEADER = [
+  { id: 'productName', title: 'Product Name' },
+  { id: 'productUrl', title: 'Product URL' },
+  { id: 'commentAuthor', title: 'Comment Author' },
+  { id: 'commentAuthorUrl', title: 'Comment Author URL' },
+  { id: 'commentText', title: 'Comment Text' },
+  { id: 'commentUpvotes', title: 'Comment Upvotes' },
+  { id: 'isReply', title: 'Is Reply' },
+  { id: 'isMakerComment', title: 'Is Maker Comment' },
+  { id: 'makerReplied', title: 'Maker Replied' },
+  { id: 'extractedDate', title: 'Extracted Date' }
+];
+
+// Function to build the CSV rows for one product - one row per maker,
+// or a single row without maker info when no makers were found.
+// productDetails is null when the product could not be processed at all.
+function buildProductRows(product, productDetails, makers, extractedDate) {
+  const websiteContactInfo = (productDetails && productDetails.websiteContactInfo) || {};
+  const metadata = (productDetails && productDetails.metadata) || {};
+  const baseRow = {
+    productName: product.name,
+    productUrl: product.url,
+    productWebsite: (productDetails && productDetails.productWebsite) || '',
+    makerName: '',
+    makerUrl: '',
+    role: '',
+    email: '',
+    xId: '',
+    linkedinUrl: '',
+    makerHeadline: '',
+    makerBio: '',
+    makerFollowers: '',
+    makerWebsite: '',
+    makerGithub: '',
+    makerProducts: '',
+    makerProductCount: '',
+    makerStreak: '',
+    makerBadges: '',
+    makerJoinDate: '',
+    websiteEmail: websiteContactInfo.email || '',
+    websiteTwitter: websiteContactInfo.twitter || '',
+    websiteLinkedin: websiteContactInfo.linkedin || '',
+    websiteContactPage: websiteContactInfo.website || '',
+    extractedDate: extractedDate,
+    leaderboardRank: product.leaderboardRank ?? '',
+    leaderboardSize: product.leaderboardSize ?? '',
+    leaderboardUpvotes: product.leaderboardUpvotes ?? '',
+    leaderboardComments: product.leaderboardComments ?? '',
+    tagline: metadata.tagline || '',
+    description: metadata.description || '',
+    topics: (metadata.topics || []).join('; '),
+    upvotes: metadata.upvotes ?? '',
+    commentCount: metadata.commentCount ?? '',
+    dailyRank: metadata.dailyRank ?? '',
+    launchDate: metadata.launchDate || '',
+    pricing: metadata.pricing || '',
+    thumbnailUrl: metadata.thumbnailUrl || '',
+    galleryUrls: (metadata.galleryUrls || []).join(' '),
+    hunterName: metadata.hunterName || '',
+    hunterUrl: metadata.hunterUrl || ''
+  };
+  
+  if (makers.length === 0) {
+    return [baseRow];
+  }
+  
+  return makers.map(maker => ({
+    ...baseRow,
+    makerName: maker.name || '',
+    makerUrl: maker.url || '',
+    role: maker.role || '',
+    email: maker.email || '',
+    xId: maker.xId || '',
+    linkedinUrl: maker.linkedinUrl || '',
+    makerHeadline: maker.headline || '',
+    makerBio: maker.bio || '',
+    makerFollowers: maker.followers ?? '',
+    makerWebsite: maker.personalWebsite || '',
+    makerGithub: maker.githubUrl || '',
+    makerProducts: (maker.products || []).map(item => item.name).join('; '),
+    makerProductCount: maker.products ? maker.products.length : '',
+    makerStreak: maker.streak ?? '',
+    makerBadges: (maker.badges || []).join('; '),
+    makerJoinDate: maker.joinDate || ''
+  }));
+}
+
+// Function to build the nested record for one product, for JSON-style
+// outputs: product -> makers -> contacts, keeping the one-to-many structure
+// that the flattened CSV loses. result is one entry of getLeaderboardResults.
+function buildProductDocument(result) {
+  const { product, productDetails, makers } = result;
+  const websiteContactInfo = (productDetails && productDetails.websiteContactInfo) || {};
+  const metadata = (productDetails && productDetails.metadata) || {};
+  
+  return {
+    name: product.name,
+    url: product.url,
+    website: (productDetails && productDetails.productWebsite) || '',
+    status: result.status,
+    extractedDate: result.extractedDate,
+    leaderboard: {
+      rank: product.leaderboardRank ?? null,
+      size: product.leaderboardSize ?? null,
+      upvotes: product.leaderboardUpvotes ?? null,
+      comments: product.leaderboardComments ?? null
+    },
+    tagline: metadata.tagline || '',
+    description: metadata.description || '',
+    topics: metadata.topics || [],
+    upvotes: metadata.upvotes ?? null,
+    commentCount: metadata.commentCount ?? null,
+    dailyRank: metadata.dailyRank ?? null,
+    launchDate: metadata.launchDate || '',
+    pricing: metadata.pricing || '',
+    thumbnailUrl: metadata.thumbnailUrl || '',
+    galleryUrls: metadata.galleryUrls || [],
+    hunter: {
+      name: metadata.hunterName || '',
+      url: metadata.hunterUrl || ''
+    },
+    contacts: {
+      email: websiteContactInfo.email || '',
+      twitter: websiteContactInfo.twitter || '',
+      linkedin: websiteContactInfo.linkedin || '',
+      contactPage: websiteContactInfo.website || '',
+      // Page of the product website each contact was found on
+      sources: websiteContactInfo.sources || {},
+      // Every address found, best first; email above is the first of these
+      emails: websiteContactInfo.emails || []
+    },
+    makers: (makers || []).map(maker => ({
+      name: maker.name || '',
+      url: maker.url || '',
+      role: maker.role || '',
+      headline: maker.headline || '',
+      bio: maker.bio || '',
+      followers: maker.followers ?? null,
+      website: maker.personalWebsite || '',
+      github: maker.githubUrl || '',
+      products: maker.products || [],
+      streak: maker.streak ?? null,
+      badges: maker.badges || [],
+      joinDate: maker.joinDate || '',
+      contacts: {
+        email: maker.email || '',
+        twitter: maker.xId || '',
+        linkedin: maker.linkedinUrl || '',
+        emails: maker.emails || []
+      }
+    }))
+  };
+}
+
+// Function to build the comment CSV rows for one product
+function buildCommentRows(product, comments, extractedDate) {
+  return (comments || []).map(comment => ({
+    productName: product.name,
+    productUrl: product.url,
+    commentAuthor: comment.author,
+    commentAuthorUrl: comment.authorUrl,
+    commentText: comment.text,
+    commentUpvotes: comment.upvotes,
+    isReply: comment.isReply ? 'Yes' : 'No',
+    isMakerComment: comment.isMakerComment ? 'Yes' : 'No',
+    makerReplied: comment.makerReplied ? 'Yes' : 'No',
+    extractedDate: extractedDate
+  }));
+}
+
+// Function to derive the comments CSV path from the product CSV path
+// (product_hunt_data_X.csv -> product_hunt_comments_X.csv)
+function getCommentsFilePath(csvFilePath) {
+  const fileName = path.basename(csvFilePath);
+  const commentsFileName = fileName.startsWith('product_hunt_data_')
+    ? fileName.replace('product_hunt_data_', 'product_hunt_comments_')
+    : `comments_${fileName}`;
+  
+  return path.join(path.dirname(csvFilePath), commentsFileName);
+}
+
+module.exports = {
+  PRODUCT_CSV_HEADER,
+  COMMENT_CSV_HEADER,
+  buildProductRows,
+  buildProductDocument,
+  buildCommentRows,
+  getCommentsFilePath
+};
@@ -0,0 +1,118 @@
+// Page Pool Module
+// Shares one Puppeteer browser between concurrent workers while capping the
+// number of open pages, and routes every navigation through a host throttle.
+// The throttle is exposed too, so plain HTTP fetches can share its pacing.
+
+/**
+ * Create a bounded page pool over a browser
+ * The pool exposes the same newPage() as a browser, so it can be passed to
+ * the extractors in place of the browser itself. A page's slot is released
+ * when the page is closed.
+ * @param {Object} browser - Puppeteer browser instance
+ * @param {Object} options - Pool options
+ * @param {number} options.maxPages - Maximum number of pages open at once
+ * @param {Object} options.throttle - Host throttle from rateLimiter.createHostThrottle
+ * @returns {Object} - Page pool with newPage() and the throttle
+ */
+function createPagePool(browser, options = {}) {
+  const maxPages = options.maxPages || 2;
+  const throttle = options.throttle || null;
+
+  let openPages = 0;
+  const waiting = [];
+
+  const acquire = () => {
+    if (openPages < maxPages) {
+      openPages++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(resolve));
+  };
+
+  const release = () => {
+    const next = waiting.shift();
+    if (next) {
+      // Hand the slot straight to the next waiter
+      next();
+    } else {
+      openPages--;
+    }
+  };
+
+  const newPage = async () => {
+    await acquire();
+
+    let page;
+    try {
+      page = await browser.newPage();
+    } catch (error) {
+      release();
+      throw error;
+    }
+
+    // Release the slot exactly once, however the page gets closed
+    let released = false;
+    const originalClose = page.close.bind(page);
+    page.close = async (...args) => {
+      try {
+        return await originalClose(...args);
+      } finally {
+        if (!released) {
+          released = true;
+          release();
+        }
+      }
+    };
+
+    // Pace navigations per host
+    if (throttle) {
+      const originalGoto = page.goto.bind(page);
+      page.goto = async (url, gotoOptions) => {
+        await throttle.wait(url);
+
+        const startTime = Date.now();
+        try {
+          const response = await originalGoto(url, gotoOptions);
+          throttle.recordResponse(url, Date.now() - startTime);
+          return response;
+        } catch (error) {
+          throttle.recordFailure(url);
+          throw error;
+        }
+      };
+    }
+
+    return page;
+  };
+
+  return { newPage, throttle };
+}
+
+/**
+ * Run an async worker over every item with at most `concurrency` in flight
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} - Results in the same order as items
+ */
+async function runWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  return results;
+}
+
+module.exports = {
+  createPagePool,
+  runWithConcurrency
+};
@@ -0,0 +1,197 @@
+// Product Metadata Extractor Module
+// Reads launch metadata (tagline, topics, traction, pricing, media, hunter)
+// from the HTML of a Product Hunt product page.
+const { cleanText, parseCount } = require('./utils');
+
+/**
+ * Read every JSON-LD block on the page
+ * @param {Object} $ - Cheerio instance of the product page
+ * @returns {Array} - Parsed JSON-LD objects (flattened @graph entries included)
+ */
+function getJsonLd($) {
+  const items = [];
+
+  $('script[type="application/ld+json"]').each((_, element) => {
+    try {
+      const data = JSON.parse($(element).contents().text());
+      const list = Array.isArray(data) ? data : [data];
+      list.forEach(item => {
+        items.push(item);
+        if (item && Array.isArray(item['@graph'])) {
+          items.push(...item['@graph']);
+        }
+      });
+    } catch (error) {
+      // Ignore malformed JSON-LD blocks
+    }
+  });
+
+  return items;
+}
+
+/**
+ * Map Product Hunt's pricing label to free / freemium / paid
+ * The label is a short standalone element ("Free", "Free Options",
+ * "Payment Required"), so marketing copy like "try it for free" is ignored.
+ * @param {Object} $ - Cheerio instance of the product page
+ * @returns {string} - 'free', 'freemium', 'paid' or ''
+ */
+function detectPricingModel($) {
+  const labels = {
+    'free': 'free',
+    'free options': 'freemium',
+    'freemium': 'freemium',
+    'free trial': 'freemium',
+    'payment required': 'paid',
+    'paid': 'paid'
+  };
+
+  let pricing = '';
+  $('span, div, a, p').each((_, element) => {
+    if ($(element).children().length > 0) return;
+
+    const label = cleanText($(element).text()).toLowerCase();
+    if (labels[label]) {
+      pricing = labels[label];
+      return false;
+    }
+  });
+
+  return pricing;
+}
+
+/**
+ * Find the hunter of the product - the profile link labelled "Hunter"
+ * @param {Object} $ - Cheerio instance of the product page
+ * @returns {Object} - { name, url }
+ */
+function findHunter($) {
+  let hunter = { name: '', url: '' };
+
+  $('a[href^="/@"]').each((_, element) => {
+    const parentText = $(element).parent().text();
+    const grandparentText = $(element).parent().parent().text();
+
+    // Case-sensitive on purpose: the badge reads "Hunter" and is often
+    // rendered flush against the name ("HunterJane")
+    if (/Hunter(?![a-z])|[Hh]unted by/.test(parentText) || /[Hh]unted by/.test(grandparentText)) {
+      const href = $(element).attr('href').split('?')[0];
+      hunter = {
+        name: cleanText($(element).text()),
+        url: `https://www.producthunt.com${href}`
+      };
+      return false; // Stop at the first hunter
+    }
+  });
+
+  return hunter;
+}
+
+/**
+ * Extract product metadata from a product page
+ * @param {Object} $ - Cheerio instance of the product page
+ * @returns {Object} - Product metadata
+ */
+function extractProductMetadata($) {
+  const metadata = {
+    tagline: '',
+    description: '',
+    topics: [],
+    upvotes: null,
+    commentCount: null,
+    dailyRank: null,
+    launchDate: '',
+    pricing: '',
+    thumbnailUrl: '',
+    galleryUrls: [],
+    hunterName: '',
+    hunterUrl: ''
+  };
+
+  try {
+    const jsonLd = getJsonLd($);
+    const productLd = jsonLd.find(item => item && /Product|SoftwareApplication|WebApplication/.test(item['@type'])) || {};
+    const pageText = cleanText($('body').text());
+
+    // Tagline: the heading under the product name, or the og:title suffix
+    // ("Name - Tagline | Product Hunt")
+    const h1 = $('h1').first();
+    const headingTagline = h1.length > 0 ? cleanText(h1.nextAll('h2, div').first().text()) : '';
+    const ogTitle = $('meta[property="og:title"]').attr('content') || '';
+    const ogTagline = ogTitle.includes(' - ') ? ogTitle.split(' - ').slice(1).join(' - ').replace(/\s*\|\s*Product Hunt\s*$/i, '') : '';
+    metadata.tagline = cleanText(ogTagline || headingTagline);
+
+    metadata.description = cleanText(
+      productLd.description ||
+      $('meta[name="description"]').attr('content') ||
+      $('meta[property="og:description"]').attr('content') ||
+      ''
+    );
+
+    // Topics / categories
+    const topics = new Set();
+    $('a[href^="/topics/"], a[href^="/categories/"]').each((_, element) => {
+      const topic = cleanText($(element).text());
+      if (topic && topic.length < 60) {
+        topics.add(topic);
+      }
+    });
+    metadata.topics = Array.from(topics);
+
+    // Upvotes - JSON-LD rating count first, then the upvote button
+    const rating = productLd.aggregateRating || {};
+    metadata.upvotes = parseCount(rating.ratingCount || rating.reviewCount);
+    if (metadata.upvotes === null) {
+      $('button').each((_, element) => {
+        const text = cleanText($(element).text());
+        const match = text.match(/upvote\D*([\d.,]+\s*[kKmM]?)/i);
+        if (match) {
+          metadata.upvotes = parseCount(match[1]);
+          return false;
+        }
+      });
+    }
+
+    // Comment count, e.g. "123 comments" or "Discussion (12)"
+    const commentMatch = pageText.match(/([\d.,]+\s*[kKmM]?)\s+comments?\b/i) || pageText.match(/discussion\s*\(([\d.,]+)\)/i);
+    metadata.commentCount = commentMatch ? parseCount(commentMatch[1]) : null;
+
+    // Daily rank, e.g. "#3 Product of the Day" or "#3 Day Rank"
+    const rankMatch = pageText.match(/#\s*(\d+)\s+(?:product of the day|day rank)/i);
+    metadata.dailyRank = rankMatch ? parseInt(rankMatch[1], 10) : null;
+
+    // Launch date
+    const datePublished = productLd.datePublished || $('time[datetime]').first().attr('datetime') || '';
+    if (datePublished) {
+      const parsed = new Date(datePublished);
+      metadata.launchDate = isNaN(parsed.getTime()) ? '' : parsed.toISOString().split('T')[0];
+    }
+
+    metadata.pricing = detectPricingModel($);
+
+    // Media
+    metadata.thumbnailUrl = $('meta[property="og:image"]').attr('content') || (Array.isArray(productLd.image) ? productLd.image[0] : productLd.image) || '';
+
+    const gallery = new Set();
+    $('img').each((_, element) => {
+      const src = $(element).attr('src') || '';
+      if (src.includes('ph-files.imgix.net') && src !== metadata.thumbnailUrl) {
+        // Drop the resize parameters so the same image isn't listed per size
+        gallery.add(src.split('?')[0]);
+      }
+    });
+    metadata.galleryUrls = Array.from(gallery).slice(0, 10);
+
+    const hunter = findHunter($);
+    metadata.hunterName = hunter.name;
+    metadata.hunterUrl = hunter.url;
+  } catch (error) {
+    console.error(`Error extracting product metadata: ${error.message}`);
+  }
+
+  return metadata;
+}
+
+module.exports = {
+  extractProductMetadata
+};
@@ -0,0 +1,123 @@
+// Rate Limiter Module
+// Paces requests per host so that concurrent workers share one budget for
+// producthunt.com while product websites are paced independently of it.
+const { delay, randomDelay } = require('./utils');
+
+/**
+ * Implements adaptive rate limiting based on website response times
+ * @param {number} baseDelay - Base delay in milliseconds
+ * @param {number} responseTime - Response time of the last request in milliseconds
+ * @returns {number} - Calculated delay time
+ */
+function calculateAdaptiveDelay(baseDelay, responseTime) {
+  // If the site is responding slowly, we should wait longer
+  if (responseTime > 5000) {
+    return baseDelay * 1.5 + randomDelay(1000);
+  } else if (responseTime > 2000) {
+    return baseDelay * 1.2 + randomDelay(500);
+  } else {
+    return baseDelay + randomDelay(300);
+  }
+}
+
+/**
+ * Get the key requests are paced by - every producthunt.com subdomain
+ * shares one key, other sites are keyed by hostname
+ * @param {string} url - Request URL
+ * @returns {string} - Host key
+ */
+function getHostKey(url) {
+  try {
+    const hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    return hostname === 'producthunt.com' || hostname.endsWith('.producthunt.com') ? 'producthunt.com' : hostname;
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+/**
+ * Create a per-host throttle
+ * @param {Object} options - Throttle options
+ * @param {number} options.productHuntDelay - Base delay between producthunt.com requests in ms
+ * @param {number} options.websiteDelay - Base delay between requests to the same product website in ms
+ * @returns {Object} - Throttle with wait, recordResponse and recordFailure
+ */
+function createHostThrottle(options = {}) {
+  const productHuntDelay = options.productHuntDelay || 2000;
+  const websiteDelay = options.websiteDelay || productHuntDelay / 2;
+
+  // Request stats per host key
+  const hosts = new Map();
+
+  const getStats = key => {
+    if (!hosts.has(key)) {
+      hosts.set(key, {
+        nextRequestTime: 0,
+        consecutiveRequests: 0,
+        failedRequests: 0,
+        lastResponseTime: 0,
+        totalRequests: 0
+      });
+    }
+    return hosts.get(key);
+  };
+
+  // Wait until the host of the given URL may be requested again
+  const wait = async url => {
+    const key = getHostKey(url);
+    const stats = getStats(key);
+    const baseDelay = key === 'producthunt.com' ? productHuntDelay : websiteDelay;
+
+    // The very first request to a host goes out immediately
+    if (stats.totalRequests === 0) {
+      stats.totalRequests++;
+      stats.nextRequestTime = Date.now() + calculateAdaptiveDelay(baseDelay, 0);
+      return;
+    }
+
+    let delayTime = calculateAdaptiveDelay(baseDelay, stats.lastResponseTime);
+
+    if (stats.consecutiveRequests > 5) {
+      // Add exponential backoff for many consecutive requests
+      delayTime = delayTime * (1 + (stats.consecutiveRequests - 5) * 0.2);
+    }
+
+    // Add jitter to avoid detection patterns
+    delayTime += Math.random() * 1000;
+
+    // If we've had failed requests, be more cautious
+    delayTime += stats.failedRequests * 1000;
+
+    // Reserve the next slot for this host before waiting, so concurrent
+    // workers queue up behind each other instead of firing together
+    const now = Date.now();
+    const startTime = Math.max(now, stats.nextRequestTime);
+    stats.nextRequestTime = startTime + delayTime;
+    stats.totalRequests++;
+
+    if (startTime > now) {
+      // Somebody else just hit this host - we are making back-to-back requests
+      stats.consecutiveRequests++;
+      console.log(`Waiting ${Math.round(startTime - now)}ms before next request to ${key}...`);
+      await delay(startTime - now);
+    } else {
+      stats.consecutiveRequests = Math.max(0, stats.consecutiveRequests - 1);
+    }
+  };
+
+  const recordResponse = (url, responseTime) => {
+    getStats(getHostKey(url)).lastResponseTime = responseTime;
+  };
+
+  const recordFailure = url => {
+    getStats(getHostKey(url)).failedRequests++;
+  };
+
+  return { wait, recordResponse, recordFailure };
+}
+
+module.exports = {
+  calculateAdaptiveDelay,
+  getHostKey,
+  createHostThrottle
+};
@@ -3,238 +3,254 @@ const cheerio = require('cheerio');
 const { createObjectCsvWriter } = require('csv-writer');
 const { extractContactInfo } = require('./contactExtractor');
 const { extractWebsiteContactInfo } = require('./websiteContactExtractor');
-const { delay, formatDate, randomDelay, cleanText, isValidUrl, extractDateFromUrl } = require('./utils');
+const { extractEmails } = require('./emailExtractor');
+const { extractComments } = require('./commentExtractor');
+const { extractProductMetadata } = require('./productMetadataExtractor');
+const { openDatabase, saveProductResult, getLeaderboardResults } = require('./database');
+const { PRODUCT_CSV_HEADER, COMMENT_CSV_HEADER, buildProductRows, buildCommentRows, getCommentsFilePath } = require('./outputRows');
+const { STATUS, loadCheckpoint, createCheckpoint, updateProduct, getRemainingProducts, getAllRows, getProgress, removeCheckpoint } = require('./checkpoint');
+const { createHostThrottle } = require('./rateLimiter');
+const { createPagePool, runWithConcurrency } = require('./pagePool');
+const { getDefaults } = require('./config');
+const { createWebhookExporter } = require('./webhookExporter');
+const { writeOutputFormats } = require('./outputFormats');
+const { delay, formatDate, cleanText, parseCount, isValidUrl, extractDateFromUrl, parseLeaderboardUrl, formatLeaderboardLabel } = require('./utils');
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 
-/**
- * Implements adaptive rate limiting based on website response times
- * @param {number} baseDelay - Base delay in milliseconds
- * @param {number} responseTime - Response time of the last request in milliseconds
- * @returns {number} - Calculated delay time
- */
-function calculateAdaptiveDelay(baseDelay, responseTime) {
-  // If the site is responding slowly, we should wait longer
-  if (responseTime > 5000) {
-    return baseDelay * 1.5 + randomDelay(1000);
-  } else if (responseTime > 2000) {
-    return baseDelay * 1.2 + randomDelay(500);
-  } else {
-    return baseDelay + randomDelay(300);
-  }
-}
-
 // Main scraper function
+// Returns the path of the written CSV, or null when the leaderboard had no products.
+// Pass options.outputPath to write somewhere other than product_hunt_data_<period>.csv
 async function scrapeProductHunt(browser, options = {}) {
-  // Default options
+  // Defaults live in config.js; options override them per run
   const config = {
-    maxProducts: options.maxProducts || 30,
-    delayBetweenRequests: options.delayBetweenRequests || 2000,
-    debugMode: options.debugMode || false,
-    targetUrl: options.targetUrl || 'https://www.producthunt.com/leaderboard/daily/2025/3/17/all',
-    maxMakersPerProduct: process.env.MAX_MAKERS_PER_PRODUCT ? parseInt(process.env.MAX_MAKERS_PER_PRODUCT) : 3,
-    skipComments: process.env.SKIP_COMMENTS === 'true',
+    ...getDefaults(),
+    targetUrl: 'https://www.producthunt.com/leaderboard/daily/2025/3/17/all',
+    checkpointDir: path.join(__dirname, 'checkpoints'),
     ...options
   };
   
-  // Track request patterns to implement adaptive rate limiting
-  const requestStats = {
-    lastRequestTime: Date.now(),
-    consecutiveRequests: 0,
-    totalRequests: 0,
-    failedRequests: 0
-  };
+  // Never open fewer pages than workers plus one: a worker holds its product
+  // page while it opens the website and maker pages
+  config.concurrency = Math.max(1, config.concurrency);
+  config.maxOpenPages = Math.max(config.maxOpenPages || config.concurrency * 3, config.concurrency + 1);
   
-  // Adaptive rate limiting function
-  const adaptiveDelay = async () => {
-    // Calculate time since last request
-    const timeSinceLastRequest = Date.now() - requestStats.lastRequestTime;
-    
-    // Increase delay if we're making too many consecutive requests
-    let delayTime = config.delayBetweenRequests;
-    
-    if (requestStats.consecutiveRequests > 5) {
-      // Add exponential backoff for many consecutive requests
-      delayTime = config.delayBetweenRequests * (1 + (requestStats.consecutiveRequests - 5) * 0.2);
-    }
-    
-    // Add jitter to avoid detection patterns
-    delayTime += Math.random() * 1000;
-    
-    // If we've made requests too quickly, wait longer
-    if (timeSinceLastRequest < 1000) {
-      delayTime += 1000 + Math.random() * 2000;
-      requestStats.consecutiveRequests++;
-    } else {
-      requestStats.consecutiveRequests = Math.max(0, requestStats.consecutiveRequests - 1);
-    }
-    
-    // If we've had failed requests, be more cautious
-    if (requestStats.failedRequests > 0) {
-      delayTime += requestStats.failedRequests * 1000;
-    }
-    
-    console.log(`Waiting ${Math.round(delayTime)}ms before next request...`);
-    await delay(delayTime);
-    
-    // Update request stats
-    requestStats.lastRequestTime = Date.now();
-    requestStats.totalRequests++;
-  };
+  // Pace producthunt.com and product websites separately, shared by all workers
+  const throttle = createHostThrottle({
+    productHuntDelay: config.delayBetweenRequests,
+    websiteDelay: config.delayBetweenRequests / 2
+  });
+  const pagePool = createPagePool(browser, { maxPages: config.maxOpenPages, throttle });
   
   console.log(`Scraper config: maxProducts=${config.maxProducts}, delayBetweenRequests=${config.delayBetweenRequests}ms, targetUrl=${config.targetUrl}`);
   console.log(`Additional settings: maxMakersPerProduct=${config.maxMakersPerProduct}, skipComments=${config.skipComments}`);
+  console.log(`Contact roles: ${config.contactRoles.join(', ')}`);
+  console.log(`Concurrency: ${config.concurrency} workers, up to ${config.maxOpenPages} open pages`);
+  
+  // Work out which leaderboard period we are scraping
+  const leaderboard = parseLeaderboardUrl(config.targetUrl);
+  if (leaderboard) {
+    console.log(`Leaderboard period: ${leaderboard.period}`);
+  } else {
+    console.log(`Target URL is not a recognised leaderboard URL, treating it as a plain product list`);
+  }
   
-  // CSV Writer setup
-  const csvFilePath = path.join(__dirname, `product_hunt_data_${formatDate(new Date())}.csv`);
+  // CSV Writer setup - files are named after the period they cover, so a
+  // backfilled day never overwrites today's file. Daily files keep the bare
+  // date; anything that is not a leaderboard uses the run date.
+  let fileSuffix = formatDate(new Date());
+  if (leaderboard) {
+    fileSuffix = leaderboard.period === 'daily'
+      ? formatLeaderboardLabel(leaderboard)
+      : `${leaderboard.period}_${formatLeaderboardLabel(leaderboard)}`;
+  }
+  const csvFilePath = config.outputPath || path.join(__dirname, `product_hunt_data_${fileSuffix}.csv`);
   console.log(`CSV will be saved to: ${csvFilePath}`);
   
+  // Comments go to their own CSV next to the product CSV, linked by product URL
+  const commentsFilePath = getCommentsFilePath(csvFilePath);
+  const commentsCsvWriter = config.skipComments ? null : createObjectCsvWriter({
+    path: commentsFilePath,
+    header: COMMENT_CSV_HEADER
+  });
+  
   // Extract date from the target URL
   const extractedDate = extractDateFromUrl(config.targetUrl);
   console.log(`Extracted date from URL: ${extractedDate}`);
   
   const csvWriter = createObjectCsvWriter({
     path: csvFilePath,
-    header: [
-      { id: 'productName', title: 'Product Name' },
-      { id: 'productUrl', title: 'Product URL' },
-      { id: 'productWebsite', title: 'Product Website' },
-      { id: 'makerName', title: 'Maker Name' },
-      { id: 'makerUrl', title: 'Maker URL' },
-      { id: 'email', title: 'Email' },
-      { id: 'xId', title: 'X (Twitter) ID' },
-      { id: 'linkedinUrl', title: 'LinkedIn URL' },
-      { id: 'websiteEmail', title: 'Website Email' },
-      { id: 'websiteTwitter', title: 'Website Twitter' },
-      { id: 'websiteLinkedin', title: 'Website LinkedIn' },
-      { id: 'websiteContactPage', title: 'Website Contact Page' },
-      { id: 'extractedDate', title: 'Extracted Date' }
-    ]
+    header: PRODUCT_CSV_HEADER
   });
   
-  // Array to store all product data
-  let allProductData = [];
+  // Everything we scrape is stored locally; the CSV is written from the store
+  const db = openDatabase(config.databasePath || undefined);
+  
+  // Results are also pushed to any configured webhooks
+  const webhooks = createWebhookExporter({
+    urls: config.webhookUrls,
+    secret: config.webhookSecret,
+    maxRetries: config.webhookMaxRetries,
+    deadLetterPath: config.webhookDeadLetterPath || undefined
+  });
+  const sendProductWebhooks = webhooks.isEnabled() && config.webhookMode !== 'batch';
+  const sendBatchWebhook = webhooks.isEnabled() && config.webhookMode !== 'product';
+  const pendingWebhooks = [];
   
   try {
-    // Get the products from the leaderboard page
-    const products = await getProductsFromLeaderboard(browser, config);
+    // Resume an interrupted run for the same target if a checkpoint exists
+    let checkpoint = config.resume ? loadCheckpoint(config.checkpointDir, config.targetUrl) : null;
     
-    if (products.length === 0) {
-      console.log('No products found on the leaderboard page.');
-      return;
+    if (checkpoint) {
+      const progress = getProgress(checkpoint);
+      console.log(`Resuming from checkpoint ${checkpoint.filePath}: ${progress.done} done, ${progress.failed} failed, ${progress.pending} pending`);
+    } else {
+      // Get the products from the leaderboard page
+      const products = await getProductsFromLeaderboard(pagePool, config);
+      
+      if (products.length === 0) {
+        console.log('No products found on the leaderboard page.');
+        return null;
+      }
+      
+      console.log(`Found ${products.length} products on the leaderboard page`);
+      
+      // Limit to max products - each product keeps its leaderboard rank
+      checkpoint = createCheckpoint(config.checkpointDir, config.targetUrl, products.slice(0, config.maxProducts));
+      console.log(`Checkpoint created at ${checkpoint.filePath}`);
     }
     
-    console.log(`Found ${products.length} products on the leaderboard page`);
-    
-    // Limit to max products
-    const productsToProcess = products.slice(0, config.maxProducts);
-    console.log(`Processing ${productsToProcess.length} products...`);
+    const remaining = getRemainingProducts(checkpoint);
+    const total = checkpoint.products.length;
+    console.log(`Processing ${remaining.length} of ${total} products...`);
     
-    // Process each product
-    for (let i = 0; i < productsToProcess.length; i++) {
-      const product = productsToProcess[i];
-      console.log(`Processing product ${i + 1}/${productsToProcess.length}: ${product.name}`);
+    // Process the products with a bounded number of concurrent workers
+    await runWithConcurrency(remaining, config.concurrency, async entry => {
+      const product = entry.product;
+      const position = checkpoint.products.indexOf(entry) + 1;
+      console.log(`Processing product ${position}/${total}: ${product.name}`);
       
       try {
         // Get product details
-        const productDetails = await getProductDetails(browser, product.url, config);
+        const productDetails = await getProductDetails(pagePool, product.url, config);
         
         // Process makers (limited to maxMakersPerProduct)
         const limitedMakers = productDetails.makers.slice(0, config.maxMakersPerProduct);
-        console.log(`Using ${limitedMakers.length} out of ${productDetails.makers.length} makers for product`);
+        console.log(`Using ${limitedMakers.length} out of ${productDetails.makers.length} makers for ${product.name}`);
         
-        if (limitedMakers.length > 0) {
-          // For each maker, create an entry in the CSV
-          for (const maker of limitedMakers) {
-            const productData = {
-              productName: product.name,
-              productUrl: product.url,
-              productWebsite: productDetails.productWebsite || '',
-              makerName: maker.name || '',
-              makerUrl: maker.url || '',
-              email: maker.email || '',
-              xId: maker.xId || '',
-              linkedinUrl: maker.linkedinUrl || '',
-              websiteEmail: productDetails.websiteContactInfo.email || '',
-              websiteTwitter: productDetails.websiteContactInfo.twitter || '',
-              websiteLinkedin: productDetails.websiteContactInfo.linkedin || '',
-              websiteContactPage: productDetails.websiteContactInfo.website || '',
-              extractedDate: extractedDate
-            };
-            
-            // Add to the array
-            allProductData.push(productData);
-          }
-        } else {
-          // If no makers found, still add the product with empty maker info
-          const productData = {
-            productName: product.name,
-            productUrl: product.url,
-            productWebsite: productDetails.productWebsite || '',
-            makerName: '',
-            makerUrl: '',
-            email: '',
-            xId: '',
-            linkedinUrl: '',
-            websiteEmail: productDetails.websiteContactInfo.email || '',
-            websiteTwitter: productDetails.websiteContactInfo.twitter || '',
-            websiteLinkedin: productDetails.websiteContactInfo.linkedin || '',
-            websiteContactPage: productDetails.websiteContactInfo.website || '',
-            extractedDate: extractedDate
-          };
-          
-          // Add to the array
-          allProductData.push(productData);
+        saveProductResult(db, { leaderboardUrl: config.targetUrl, extractedDate, product, productDetails, makers: limitedMakers });
+        
+        const rows = buildProductRows(product, productDetails, limitedMakers, extractedDate);
+        const commentRows = buildCommentRows(product, productDetails.comments, extractedDate);
+        updateProduct(checkpoint, product.url, STATUS.DONE, { rows, commentRows });
+        
+        // Deliver in the background so retries don't hold up the worker
+        if (sendProductWebhooks) {
+          pendingWebhooks.push(webhooks.send('product.completed', {
+            leaderboardUrl: config.targetUrl,
+            extractedDate,
+            status: STATUS.DONE,
+            product,
+            productDetails,
+            makers: limitedMakers
+          }));
         }
       } catch (error) {
         console.error(`Error processing product ${product.name}: ${error.message}`);
         
-        // Track failed requests for adaptive delay
-        requestStats.failedRequests++;
+        // Make the throttle more cautious with producthunt.com
+        throttle.recordFailure(product.url);
         
         // Still add the product with error info
-        const productData = {
-          productName: product.name,
-          productUrl: product.url,
-          productWebsite: '',
-          makerName: '',
-          makerUrl: '',
-          email: '',
-          xId: '',
-          linkedinUrl: '',
-          websiteEmail: '',
-          websiteTwitter: '',
-          websiteLinkedin: '',
-          websiteContactPage: '',
-          extractedDate: extractedDate
-        };
-        
-        // Add to the array
-        allProductData.push(productData);
+        saveProductResult(db, { leaderboardUrl: config.targetUrl, extractedDate, product, productDetails: null, status: STATUS.FAILED });
+        const rows = buildProductRows(product, null, [], extractedDate);
+        updateProduct(checkpoint, product.url, STATUS.FAILED, { rows, error: error.message });
       }
-      
-      // Use adaptive delay between products
-      if (i < productsToProcess.length - 1) {
-        await adaptiveDelay();
-      }
-    }
+    });
     
-    // Write to CSV
+    // Write to CSV - a view over everything stored for this leaderboard
+    const results = getLeaderboardResults(db, config.targetUrl);
+    const allProductData = results
+      .reduce((rows, result) => rows.concat(buildProductRows(result.product, result.productDetails, result.makers, result.extractedDate)), []);
     console.log(`Writing ${allProductData.length} entries to CSV...`);
     await csvWriter.writeRecords(allProductData);
     
-    console.log(`Scraping completed. CSV saved to ${csvFilePath}`);
+    // Nested / spreadsheet formats for consumers that need product -> makers
+    if (config.outputFormats.length > 0) {
+      await writeOutputFormats(csvFilePath, results, config.outputFormats, {
+        leaderboardUrl: config.targetUrl,
+        extractedDate
+      });
+    }
+    
+    if (commentsCsvWriter) {
+      const allCommentData = getAllRows(checkpoint, 'commentRows');
+      console.log(`Writing ${allCommentData.length} comments to ${commentsFilePath}...`);
+      await commentsCsvWriter.writeRecords(allCommentData);
+    }
+    
+    if (sendBatchWebhook) {
+      pendingWebhooks.push(webhooks.send('leaderboard.completed', {
+        leaderboardUrl: config.targetUrl,
+        extractedDate,
+        products: results
+      }));
+    }
     
+    if (pendingWebhooks.length > 0) {
+      console.log(`Waiting for ${pendingWebhooks.length} webhook deliveries...`);
+      await Promise.all(pendingWebhooks);
+    }
+    
+    // The run is complete, so the next run for this target starts fresh
+    removeCheckpoint(checkpoint);
+    
+    console.log(`Scraping completed. CSV saved to ${csvFilePath}`);
+    return csvFilePath;
   } catch (error) {
     console.error(`Error during scraping: ${error.message}`);
     throw error;
+  } finally {
+    db.close();
   }
 }
 
+// Function to read the vote and comment counts from a leaderboard card.
+// The card is the closest ancestor of the product link holding buttons; its
+// numeric buttons are the comment count followed by the upvote count.
+function extractLeaderboardCardStats($, linkElement) {
+  const stats = { leaderboardUpvotes: null, leaderboardComments: null };
+  
+  const card = $(linkElement).parents().filter((_, el) => $(el).find('button').length > 0).first();
+  if (card.length === 0) return stats;
+  
+  // Stop if we climbed past the card into the list holding several products
+  const productHrefs = new Set(card.find('a[href^="/products/"]').map((_, a) => $(a).attr('href')).get());
+  if (productHrefs.size > 1) return stats;
+  
+  const counts = [];
+  card.find('button').each((_, button) => {
+    const text = cleanText($(button).text());
+    if (/^[\d.,]+\s*[kKmM]?$/.test(text)) {
+      counts.push(parseCount(text));
+    }
+  });
+  
+  if (counts.length >= 2) {
+    stats.leaderboardComments = counts[0];
+    stats.leaderboardUpvotes = counts[counts.length - 1];
+  } else if (counts.length === 1) {
+    stats.leaderboardUpvotes = counts[0];
+  }
+  
+  return stats;
+}
+
 // Function to get products from the leaderboard page
 async function getProductsFromLeaderboard(browser, config) {
-  console.log('Extracting products from leaderboard page...');
+  const leaderboard = parseLeaderboardUrl(config.targetUrl);
+  console.log(`Extracting products from ${leaderboard ? leaderboard.period : 'unknown'} leaderboard page...`);
   
   // Create a new page
   const page = await browser.newPage();
@@ -321,7 +337,8 @@ async function getProductsFromLeaderboard(browser, config) {
         if (productUrl && productName && !products.some(p => p.url === `https://www.producthunt.com${productUrl}`)) {
           products.push({
             name: productName,
-            url: `https://www.producthunt.com${productUrl}`
+            url: `https://www.producthunt.com${productUrl}`,
+            ...extractLeaderboardCardStats($, element)
           });
         }
       } catch (error) {
@@ -383,6 +400,19 @@ async function getProductsFromLeaderboard(browser, config) {
       console.log(`Found ${uniqueProducts.length} unique products after additional search`);
     }
     
+    // Record how far down the leaderboard each product was - the card's own
+    // "3. Name" prefix when there is one, otherwise its position in the list
+    uniqueProducts.forEach((product, index) => {
+      const rankMatch = product.name.match(/^(\d+)\.\s+(.+)$/);
+      if (rankMatch) {
+        product.name = rankMatch[2];
+      }
+      product.leaderboardRank = rankMatch ? parseInt(rankMatch[1], 10) : index + 1;
+      product.leaderboardSize = uniqueProducts.length;
+      product.leaderboardUpvotes = product.leaderboardUpvotes ?? null;
+      product.leaderboardComments = product.leaderboardComments ?? null;
+    });
+    
     return uniqueProducts;
   } catch (error) {
     console.error(`Error in getProductsFromLeaderboard: ${error.message}`);
@@ -443,6 +473,8 @@ async function getProductDetails(browser, productUrl, config) {
     const productDetails = {
       productWebsite: '',
       makers: [],
+      comments: [],
+      metadata: extractProductMetadata($),
       websiteContactInfo: {
         email: '',
         twitter: '',
@@ -451,6 +483,8 @@ async function getProductDetails(browser, productUrl, config) {
       }
     };
     
+    console.log(`Product metadata: rank=${productDetails.metadata.dailyRank}, upvotes=${productDetails.metadata.upvotes}, topics=${productDetails.metadata.topics.join(', ')}`);
+    
     // Extract product website URL - try multiple approaches
     console.log('Looking for product website URL...');
     
@@ -491,9 +525,10 @@ async function getProductDetails(browser, productUrl, config) {
         const redirectUrl = redirectLinks.first().attr('href');
         console.log(`Found redirect URL: ${redirectUrl}`);
         
+        let redirectPage = null;
         try {
           // Follow the redirect
-          const redirectPage = await browser.newPage();
+          redirectPage = await browser.newPage();
           await redirectPage.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
           
           // Navigate to the redirect URL
@@ -513,11 +548,14 @@ async function getProductDetails(browser, productUrl, config) {
           } else {
             console.log(`Redirect resolved to internal/generic URL: ${finalUrl}, ignoring`);
           }
-          
-          // Close the redirect page
-          await redirectPage.close();
         } catch (error) {
           console.log(`Error following redirect: ${error.message}`);
+        } finally {
+          // Always close the redirect page - its slot in the page pool is
+          // only released on close
+          if (redirectPage) {
+            await redirectPage.close().catch(() => {});
+          }
         }
       }
     }
@@ -690,21 +728,13 @@ async function getProductDetails(browser, productUrl, config) {
       // Get all maker emails
       const makerEmails = [];
       
-      // Use page.evaluate to find emails in the page
-      const pageEmails = await page.evaluate(() => {
-        const emailRegex = /([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/gi;
-        const pageText = document.body.innerText;
-        return pageText.match(emailRegex) || [];
-      });
-      
-      makerEmails.push(...pageEmails);
+      // Find emails in the page text
+      const pageText = await page.evaluate(() => document.body.innerText);
+      makerEmails.push(...extractEmails(pageText));
       
       // Extract domains from emails
       const domains = makerEmails
-        .map(email => {
-          const match = email.match(/@([a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/i);
-          return match ? match[1] : null;
-        })
+        .map(email => email.split('@')[1])
         .filter(domain => domain && 
           !domain.includes('gmail.com') && 
           !domain.includes('yahoo.com') && 
@@ -725,150 +755,194 @@ async function getProductDetails(browser, productUrl, config) {
     if (websiteUrl) {
       productDetails.productWebsite = websiteUrl;
       console.log(`Found product website: ${websiteUrl}`);
-      
-      // Extract contact information from the product website
-      try {
-        console.log(`Extracting contact info from product website: ${websiteUrl}`);
-        
-        // Use a retry mechanism for website contact extraction
-        let retryCount = 0;
-        const maxRetries = 2;
-        let websiteContactInfo = null;
-        
-        while (retryCount <= maxRetries && !websiteContactInfo) {
-          try {
-            if (retryCount > 0) {
-              console.log(`Retry ${retryCount}/${maxRetries} for website contact extraction`);
-              // Wait longer between retries
-              await delay(5000 * retryCount);
-            }
-            
-            websiteContactInfo = await extractWebsiteContactInfo(browser, websiteUrl);
-            
-            // If we got empty results and have retries left, try again
-            if (!websiteContactInfo.email && 
-                !websiteContactInfo.twitter && 
-                !websiteContactInfo.linkedin && 
-                !websiteContactInfo.website && 
-                retryCount < maxRetries) {
-              websiteContactInfo = null; // Force retry
-              retryCount++;
-            }
-          } catch (error) {
-            console.error(`Error in website contact extraction attempt ${retryCount + 1}: ${error.message}`);
-            retryCount++;
-            
-            // If we've used all retries, set empty contact info
-            if (retryCount > maxRetries) {
-              websiteContactInfo = { email: '', twitter: '', linkedin: '', website: '' };
-            }
-          }
-        }
-        
-        productDetails.websiteContactInfo = websiteContactInfo || { email: '', twitter: '', linkedin: '', website: '' };
-        console.log(`Website contact info extracted: ${JSON.stringify(productDetails.websiteContactInfo)}`);
-      } catch (error) {
-        console.error(`Error extracting website contact info: ${error.message}`);
-      }
     } else {
       console.log('No product website URL found');
     }
     
-    // Find makers section - look for the heading "Meet the team" or similar
-    const teamSection = $('h2:contains("Meet the team"), h3:contains("Meet the team"), div:contains("Meet the team")').first();
-    
-    // Find maker links - either in the team section or general maker links
-    let makerLinks;
-    if (teamSection.length > 0) {
-      // Get the parent container and find maker links inside it
-      const parentContainer = teamSection.parent();
-      makerLinks = parentContainer.find('a[href^="/@"]');
-    } else {
-      // If no team section found, look for maker links throughout the page
-      makerLinks = $('a[href^="/@"]');
+    // Classify every person linked from the page as maker, hunter or other
+    // (commenters, upvoters, ...) and keep only the roles we want to contact
+    const people = classifyPeople($, productDetails.metadata.hunterUrl);
+    const makerUrls = people.filter(person => person.role === 'maker').map(person => person.url);
+    
+    const roleCounts = people.reduce((counts, person) => {
+      counts[person.role] = (counts[person.role] || 0) + 1;
+      return counts;
+    }, {});
+    console.log(`Found ${people.length} people: ${JSON.stringify(roleCounts)}`);
+    
+    // Only process the specified maximum number of contacts, makers first
+    const makersToProcess = people
+      .filter(person => config.contactRoles.includes(person.role))
+      .slice(0, config.maxMakersPerProduct);
+    
+    console.log(`Processing ${makersToProcess.length} people with roles ${config.contactRoles.join(', ')} (limited by config)`);
+    
+    // Visit the product website and every maker profile at the same time -
+    // the page pool caps open pages and the throttle paces each host.
+    // The comment thread is read from the product page meanwhile.
+    const [websiteContactInfo, processedMakers, comments] = await Promise.all([
+      websiteUrl ? extractWebsiteContactInfoWithRetries(browser, websiteUrl, config) : null,
+      Promise.all(makersToProcess.map(maker => processMaker(browser, maker))),
+      config.skipComments ? [] : extractComments(page, { makerUrls, maxComments: config.maxComments })
+    ]);
+    
+    productDetails.comments = comments;
+    
+    if (websiteContactInfo) {
+      productDetails.websiteContactInfo = websiteContactInfo;
+      console.log(`Website contact info extracted: ${JSON.stringify(productDetails.websiteContactInfo)}`);
     }
     
-    if (makerLinks.length > 0) {
-      console.log(`Found ${makerLinks.length} potential makers`);
-      
-      // Extract maker information
-      const makers = [];
-      const processedMakerUrls = new Set(); // To avoid duplicates
+    // Keep makers in page order, dropping the ones that failed
+    productDetails.makers = processedMakers.filter(Boolean);
+    
+    return productDetails;
+  } catch (error) {
+    // Let the worker mark the product failed, so a resumed run retries it
+    console.error(`Error in getProductDetails: ${error.message}`);
+    throw error;
+  } finally {
+    // Close the page
+    await page.close();
+  }
+}
+
+// Function to classify the people linked from a product page.
+// Returns [{ url, name, role }] with role 'maker', 'hunter' or 'other',
+// ordered makers first, then hunters, then everybody else.
+function classifyPeople($, hunterUrl) {
+  // Find makers section - look for the heading "Meet the team" or similar
+  const teamSection = $('h2:contains("Meet the team"), h3:contains("Meet the team")').first();
+  const teamUrls = new Set();
+  if (teamSection.length > 0) {
+    teamSection.parent().find('a[href^="/@"]').each((_, element) => {
+      teamUrls.add(`https://www.producthunt.com${$(element).attr('href').split('?')[0]}`);
+    });
+  }
+  
+  const people = [];
+  
+  $('a[href^="/@"]').each((_, element) => {
+    try {
+      const href = $(element).attr('href').split('?')[0];
+      const url = `https://www.producthunt.com${href}`;
+      // Avatar links have no text - the name comes from the named link
+      const name = cleanText($(element).text());
       
-      makerLinks.each((index, element) => {
-        try {
-          const makerUrl = $(element).attr('href');
-          if (makerUrl && makerUrl.startsWith('/@')) {
-            const fullMakerUrl = `https://www.producthunt.com${makerUrl}`;
-            
-            // Check if we've already processed this maker
-            if (!processedMakerUrls.has(fullMakerUrl)) {
-              processedMakerUrls.add(fullMakerUrl);
-              
-              // Look for a maker badge/label near the link
-              const parentEl = $(element).parent();
-              const isMaker = parentEl.find('span:contains("Maker"), div:contains("Maker")').length > 0;
-              
-              // Get the maker name
-              const makerName = $(element).text().trim();
-              
-              // Add to makers array if it's marked as a maker or if we don't have many makers yet
-              if (isMaker || makers.length < config.maxMakersPerProduct) {
-                makers.push({ url: fullMakerUrl, name: makerName, isMaker });
-              }
-            }
-          }
-        } catch (error) {
-          console.error(`Error extracting maker info: ${error.message}`);
-        }
-      });
+      // Look for a role badge next to the link
+      const parentEl = $(element).parent();
+      const hasMakerBadge = parentEl.find('span, div').filter((_, el) => cleanText($(el).text()) === 'Maker').length > 0;
+      const hasHunterBadge = parentEl.find('span, div').filter((_, el) => cleanText($(el).text()) === 'Hunter').length > 0;
       
-      // Sort makers to prioritize confirmed makers first
-      makers.sort((a, b) => {
-        if (a.isMaker && !b.isMaker) return -1;
-        if (!a.isMaker && b.isMaker) return 1;
-        return 0;
-      });
+      let role = 'other';
+      if (hasMakerBadge || teamUrls.has(url)) {
+        role = 'maker';
+      } else if (hasHunterBadge || url === hunterUrl) {
+        role = 'hunter';
+      }
       
-      // Only process the specified maximum number of makers
-      const makersToProcess = makers.slice(0, config.maxMakersPerProduct);
+      const existing = people.find(person => person.url === url);
+      if (!existing) {
+        people.push({ url, name, role });
+        return;
+      }
       
-      console.log(`Processing ${makersToProcess.length} makers (limited by config)`);
+      if (!existing.name) {
+        existing.name = name;
+      }
       
-      // Process each maker to get their contact information
-      for (const maker of makersToProcess) {
-        try {
-          console.log(`Processing maker: ${maker.name}`);
-          
-          // Extract contact information from maker's profile
-          const contactInfo = await extractContactInfo(browser, maker.url);
-          
-          // Add contact info to maker object
-          maker.email = contactInfo.email || '';
-          maker.xId = contactInfo.xId || '';
-          maker.linkedinUrl = contactInfo.linkedinUrl || '';
-          
-          // Add to product details
-          productDetails.makers.push(maker);
-          
-          // Random delay between processing makers
-          const makerDelayTime = randomDelay(config.delayBetweenRequests / 2);
-          console.log(`Waiting ${makerDelayTime}ms before next maker...`);
-          await delay(makerDelayTime);
-        } catch (error) {
-          console.error(`Error processing maker ${maker.name}: ${error.message}`);
-          continue;
+      // The same person can appear as commenter and maker - keep the strongest role
+      if (existing.role === 'other' || (existing.role === 'hunter' && role === 'maker')) {
+        existing.role = role;
+      }
+    } catch (error) {
+      console.error(`Error extracting maker info: ${error.message}`);
+    }
+  });
+  
+  const roleOrder = { maker: 0, hunter: 1, other: 2 };
+  return people.sort((a, b) => roleOrder[a.role] - roleOrder[b.role]);
+}
+
+// Function to extract contact info from a product website, retrying when
+// the extraction fails or comes back empty. Plain HTTP fetches share the
+// page pool's throttle with browser navigations.
+async function extractWebsiteContactInfoWithRetries(browser, websiteUrl, config) {
+  const emptyContactInfo = { email: '', twitter: '', linkedin: '', website: '' };
+  
+  try {
+    console.log(`Extracting contact info from product website: ${websiteUrl}`);
+    
+    // Use a retry mechanism for website contact extraction
+    let retryCount = 0;
+    const maxRetries = 2;
+    let websiteContactInfo = null;
+    
+    while (retryCount <= maxRetries && !websiteContactInfo) {
+      try {
+        if (retryCount > 0) {
+          console.log(`Retry ${retryCount}/${maxRetries} for website contact extraction`);
+          // Wait longer between retries
+          await delay(5000 * retryCount);
+        }
+        
+        websiteContactInfo = await extractWebsiteContactInfo(browser, websiteUrl, {
+          fetchMode: config.websiteFetchMode,
+          throttle: browser.throttle,
+          crawl: {
+            maxPages: config.websiteCrawlMaxPages,
+            maxDepth: config.websiteCrawlMaxDepth,
+            timeLimitMs: config.websiteCrawlTimeLimit
+          }
+        });
+        
+        // If we got empty results and have retries left, try again
+        if (!websiteContactInfo.email && 
+            !websiteContactInfo.twitter && 
+            !websiteContactInfo.linkedin && 
+            !websiteContactInfo.website && 
+            retryCount < maxRetries) {
+          websiteContactInfo = null; // Force retry
+          retryCount++;
+        }
+      } catch (error) {
+        console.error(`Error in website contact extraction attempt ${retryCount + 1}: ${error.message}`);
+        retryCount++;
+        
+        // If we've used all retries, set empty contact info
+        if (retryCount > maxRetries) {
+          websiteContactInfo = emptyContactInfo;
         }
       }
     }
     
-    return productDetails;
+    return websiteContactInfo || emptyContactInfo;
   } catch (error) {
-    console.error(`Error in getProductDetails: ${error.message}`);
-    return { productWebsite: '', makers: [], websiteContactInfo: { email: '', twitter: '', linkedin: '', website: '' } };
-  } finally {
-    // Close the page
-    await page.close();
+    console.error(`Error extracting website contact info: ${error.message}`);
+    return emptyContactInfo;
+  }
+}
+
+// Function to fetch a maker's contact info from their profile
+// Returns the maker with contact fields added, or null if processing failed
+async function processMaker(browser, maker) {
+  try {
+    console.log(`Processing maker: ${maker.name}`);
+    
+    // Extract contact information from maker's profile
+    const contactInfo = await extractContactInfo(browser, maker.url);
+    
+    // Add contact info and profile details to maker object
+    Object.assign(maker, contactInfo, {
+      email: contactInfo.email || '',
+      xId: contactInfo.xId || '',
+      linkedinUrl: contactInfo.linkedinUrl || ''
+    });
+    
+    return maker;
+  } catch (error) {
+    console.error(`Error processing maker ${maker.name}: ${error.message}`);
+    return null;
   }
 }
 
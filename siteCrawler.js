@@ -0,0 +1,248 @@
+// Site Crawler Module
+// Walks a product website within fixed bounds - same origin only, limited
+// depth, page count and time - visiting the pages that usually carry contact
+// details first. Seeds come from sitemap.xml and well-known paths, so a
+// contact page is found even when the homepage does not link to it.
+const cheerio = require('cheerio');
+
+const WELL_KNOWN_PATHS = ['/contact', '/about', '/team', '/imprint', '/privacy', '/terms'];
+
+// How likely a page is to list contact details, judged by its path.
+// The homepage sits between the contact-style pages and the legal ones.
+const PAGE_PRIORITIES = [
+  { pattern: /contact|get-in-touch|reach-us/, priority: 10 },
+  { pattern: /support|help/, priority: 8 },
+  { pattern: /team|about|company|founder/, priority: 7 },
+  { pattern: /imprint|impressum/, priority: 6 },
+  { pattern: /legal/, priority: 4 },
+  { pattern: /privacy|terms|tos\b/, priority: 3 }
+];
+const HOMEPAGE_PRIORITY = 5;
+
+// Pages at or above this priority are contact pages
+const CONTACT_PAGE_PRIORITY = 8;
+
+// Links to files rather than pages
+const SKIPPED_EXTENSIONS = /\.(?:pdf|jpe?g|png|gif|webp|avif|svg|ico|css|js|json|xml|txt|zip|gz|dmg|exe|mp4|webm|mp3|woff2?|ttf)$/i;
+
+// Child sitemaps read from a sitemap index
+const MAX_CHILD_SITEMAPS = 3;
+
+/**
+ * Score a URL by how likely its page is to list contact details
+ * @param {string} url - Page URL
+ * @returns {number} - Priority, higher is visited first
+ */
+function getPagePriority(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname.toLowerCase();
+  } catch (error) {
+    return 0;
+  }
+
+  if (pathname === '/' || pathname === '') return HOMEPAGE_PRIORITY;
+
+  const match = PAGE_PRIORITIES.find(entry => entry.pattern.test(pathname));
+  return match ? match.priority : 0;
+}
+
+/**
+ * Hostname without a leading www., so example.com and www.example.com are
+ * treated as one site
+ * @param {string} hostname - URL hostname
+ * @returns {string} - Site host
+ */
+function getSiteHost(hostname) {
+  return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Resolve a link to an absolute page URL on the same site
+ * @param {string} href - Link as written in the page
+ * @param {string} baseUrl - URL of the page the link is on
+ * @param {string} siteHost - Host the crawl is limited to
+ * @returns {string} - Absolute URL without fragment, or '' if the link leaves the site or is not a page
+ */
+function resolveSameSiteUrl(href, baseUrl, siteHost) {
+  let url;
+  try {
+    url = new URL(href, baseUrl);
+  } catch (error) {
+    return '';
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return '';
+  if (getSiteHost(url.hostname) !== siteHost) return '';
+  if (SKIPPED_EXTENSIONS.test(url.pathname)) return '';
+
+  url.hash = '';
+  return url.href;
+}
+
+/**
+ * Read page URLs from the site's sitemap.xml, following a sitemap index
+ * one level down. Only pages that look like contact, team or legal pages are
+ * kept - a full sitemap can list thousands of blog posts.
+ * @param {string} origin - Site origin
+ * @param {Function} fetchSitemap - async url => XML text, or null
+ * @param {string} siteHost - Host the crawl is limited to
+ * @returns {Promise<Array>} - Page URLs
+ */
+async function readSitemap(origin, fetchSitemap, siteHost) {
+  const pageUrls = [];
+
+  const readLocations = xml => {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    return {
+      sitemaps: $('sitemapindex > sitemap > loc').map((_, element) => $(element).text().trim()).get(),
+      pages: $('urlset > url > loc').map((_, element) => $(element).text().trim()).get()
+    };
+  };
+
+  const xml = await fetchSitemap(`${origin}/sitemap.xml`);
+  if (!xml) return pageUrls;
+
+  const root = readLocations(xml);
+  const pages = [...root.pages];
+
+  for (const sitemapUrl of root.sitemaps.slice(0, MAX_CHILD_SITEMAPS)) {
+    const childXml = await fetchSitemap(sitemapUrl);
+    if (childXml) {
+      pages.push(...readLocations(childXml).pages);
+    }
+  }
+
+  pages.forEach(page => {
+    const url = resolveSameSiteUrl(page, origin, siteHost);
+    if (url && getPagePriority(url) > 0 && getPagePriority(url) !== HOMEPAGE_PRIORITY) {
+      pageUrls.push(url);
+    }
+  });
+
+  return pageUrls;
+}
+
+/**
+ * Crawl a website for pages likely to hold contact details
+ * Pages are visited highest priority first; among equals, pages the site
+ * actually links to (or lists in its sitemap) go before guessed well-known
+ * paths, and shallower pages before deeper ones. Failed fetches count
+ * towards the page limit so a site of 404s cannot keep the crawl busy.
+ * @param {string} startUrl - Homepage URL
+ * @param {Object} options - Crawl options
+ * @param {Function} options.fetchPage - async url => { html, url } (final URL after redirects), or null
+ * @param {Function} options.fetchSitemap - async url => XML text, or null (no sitemap seeding if omitted)
+ * @param {Function} options.onPage - async ({ url, html, depth, priority }) called for every page fetched
+ * @param {Object} options.startPage - { html, url } of the homepage if it was already fetched
+ * @param {number} options.maxPages - Pages to fetch at most, the homepage included
+ * @param {number} options.maxDepth - Link hops from the homepage to follow
+ * @param {number} options.timeLimitMs - Stop starting new fetches after this long (ms)
+ * @returns {Promise<Array>} - Visited pages [{ url, depth, priority }] in visiting order
+ */
+async function crawlSite(startUrl, options = {}) {
+  const maxPages = options.maxPages || 8;
+  const maxDepth = options.maxDepth !== undefined ? options.maxDepth : 2;
+  const deadline = Date.now() + (options.timeLimitMs || 30000);
+  const onPage = options.onPage || (async () => {});
+
+  const queue = [];
+  const seen = new Set();
+  const visited = [];
+
+  // The homepage first - it decides which links are real. A redirect to
+  // another domain (acme.com -> acme.io) moves the whole crawl there.
+  const homepage = options.startPage || await options.fetchPage(startUrl);
+  let fetchCount = 1;
+  if (!homepage) return visited;
+
+  const start = new URL(homepage.url);
+  const siteHost = getSiteHost(start.hostname);
+
+  const enqueue = (href, baseUrl, depth, guessed) => {
+    if (depth > maxDepth) return;
+    const url = resolveSameSiteUrl(href, baseUrl, siteHost);
+    if (!url) return;
+
+    if (seen.has(url)) {
+      // A guessed path turned out to be linked - it now goes ahead of guesses
+      const queued = queue.find(entry => entry.url === url);
+      if (queued && !guessed) queued.guessed = false;
+      return;
+    }
+
+    seen.add(url);
+    queue.push({ url, depth, guessed, priority: getPagePriority(url) });
+  };
+
+  const nextEntry = () => {
+    let best = 0;
+    for (let i = 1; i < queue.length; i++) {
+      const a = queue[i];
+      const b = queue[best];
+      if (a.priority !== b.priority ? a.priority > b.priority
+        : a.guessed !== b.guessed ? !a.guessed
+        : a.depth < b.depth) {
+        best = i;
+      }
+    }
+    return queue.splice(best, 1)[0];
+  };
+
+  const visit = async (page, depth) => {
+    const priority = getPagePriority(page.url);
+    visited.push({ url: page.url, depth, priority });
+    await onPage({ url: page.url, html: page.html, depth, priority });
+
+    if (depth < maxDepth) {
+      const $ = cheerio.load(page.html);
+      $('a[href]').each((_, element) => enqueue($(element).attr('href'), page.url, depth + 1, false));
+    }
+  };
+
+  seen.add(resolveSameSiteUrl(startUrl, startUrl, getSiteHost(new URL(startUrl).hostname)));
+  seen.add(resolveSameSiteUrl(homepage.url, homepage.url, siteHost));
+  await visit(homepage, 0);
+
+  if (maxDepth >= 1) {
+    if (options.fetchSitemap && Date.now() < deadline) {
+      try {
+        const sitemapUrls = await readSitemap(start.origin, options.fetchSitemap, siteHost);
+        sitemapUrls.forEach(url => enqueue(url, start.origin, 1, false));
+      } catch (error) {
+        console.log(`Error reading sitemap of ${start.origin}: ${error.message}`);
+      }
+    }
+
+    WELL_KNOWN_PATHS.forEach(wellKnownPath => enqueue(wellKnownPath, start.origin, 1, true));
+  }
+
+  while (queue.length > 0 && fetchCount < maxPages && Date.now() < deadline) {
+    const entry = nextEntry();
+    fetchCount++;
+
+    const page = await options.fetchPage(entry.url);
+    if (!page) continue;
+
+    // Redirects can land on a page we already have (e.g. /contact -> /contact-us)
+    if (page.url !== entry.url) {
+      if (visited.some(item => item.url === page.url)) continue;
+      seen.add(page.url);
+    }
+
+    await visit(page, entry.depth);
+  }
+
+  if (Date.now() >= deadline) {
+    console.log(`Crawl of ${start.origin} hit its time limit after ${visited.length} pages`);
+  }
+
+  return visited;
+}
+
+module.exports = {
+  WELL_KNOWN_PATHS,
+  CONTACT_PAGE_PRIORITY,
+  getPagePriority,
+  crawlSite
+};
@@ -0,0 +1,191 @@
+// Suppression List Module
+// Do-not-contact list of emails, domains and Product Hunt profiles. Entries
+// are kept in a local JSON file and checked before any lead is verified or
+// pushed, so unsubscribe requests are honoured on every later run.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SUPPRESSION_LIST_PATH = path.join(__dirname, 'data', 'suppression-list.json');
+
+const ENTRY_TYPES = ['email', 'domain', 'profile'];
+
+/**
+ * Normalize a value for its entry type so lookups are case-insensitive and
+ * profile links match whatever form they were entered in
+ * @param {string} type - 'email', 'domain' or 'profile'
+ * @param {string} value - Raw value
+ * @returns {string} - Normalized value
+ */
+function normalizeValue(type, value) {
+  const trimmed = (value || '').trim().toLowerCase();
+
+  if (type === 'domain') {
+    return trimmed.replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/^@/, '').split('/')[0];
+  }
+
+  if (type === 'profile') {
+    const match = trimmed.match(/(?:producthunt\.com\/)?@([\w.-]+)/);
+    return match ? `https://www.producthunt.com/@${match[1]}` : trimmed;
+  }
+
+  return trimmed;
+}
+
+/**
+ * Guess the entry type of a value
+ * @param {string} value - Email, domain or profile URL
+ * @returns {string} - 'email', 'domain' or 'profile'
+ */
+function detectEntryType(value) {
+  const trimmed = (value || '').trim();
+  if (/producthunt\.com\/@|^@[\w.-]+$/i.test(trimmed)) return 'profile';
+  if (/^[^@\s]+@[^@\s]+$/.test(trimmed)) return 'email';
+  return 'domain';
+}
+
+/**
+ * Load the suppression list from disk
+ * @param {string} filePath - Path of the suppression list file
+ * @returns {Object} - { filePath, entries: [{ type, value, reason, addedAt }] }
+ */
+function loadSuppressionList(filePath = DEFAULT_SUPPRESSION_LIST_PATH) {
+  const list = { filePath, entries: [] };
+  if (!fs.existsSync(filePath)) return list;
+
+  // Fail loudly on a broken file - silently ignoring it would contact people
+  // who asked not to be contacted
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(data.entries)) {
+    throw new Error(`Suppression list ${filePath} has no entries array`);
+  }
+
+  list.entries = data.entries;
+  return list;
+}
+
+/**
+ * Write the suppression list to disk atomically
+ * @param {Object} list - Suppression list from loadSuppressionList
+ */
+function saveSuppressionList(list) {
+  const dir = path.dirname(list.filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const tempPath = `${list.filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ entries: list.entries }, null, 2));
+  fs.renameSync(tempPath, list.filePath);
+}
+
+/**
+ * Add an entry to the suppression list and save it
+ * @param {Object} list - Suppression list from loadSuppressionList
+ * @param {string} value - Email, domain or PH profile URL to suppress
+ * @param {Object} options - Entry options
+ * @param {string} options.type - 'email', 'domain' or 'profile' (detected from the value if omitted)
+ * @param {string} options.reason - Why the entry was added (e.g. "unsubscribe request")
+ * @returns {Object} - The stored entry (the existing one if already suppressed)
+ */
+function addSuppression(list, value, options = {}) {
+  const type = options.type || detectEntryType(value);
+  if (!ENTRY_TYPES.includes(type)) {
+    throw new Error(`Unknown suppression type "${type}" - expected one of ${ENTRY_TYPES.join(', ')}`);
+  }
+
+  const normalized = normalizeValue(type, value);
+  if (!normalized) {
+    throw new Error('Cannot suppress an empty value');
+  }
+
+  const existing = list.entries.find(entry => entry.type === type && entry.value === normalized);
+  if (existing) return existing;
+
+  const entry = {
+    type,
+    value: normalized,
+    reason: options.reason || '',
+    addedAt: new Date().toISOString()
+  };
+
+  list.entries.push(entry);
+  saveSuppressionList(list);
+  return entry;
+}
+
+/**
+ * Check a lead against the suppression list
+ * An email is suppressed by its own entry or by an entry for its domain
+ * (including parent domains); a maker by an entry for their profile.
+ * @param {Object} list - Suppression list from loadSuppressionList
+ * @param {Object} lead - { emails, makerUrl }
+ * @returns {Object|null} - Matching entry or null if the lead may be contacted
+ */
+function findSuppression(list, { emails = [], makerUrl = '' }) {
+  const profile = makerUrl ? normalizeValue('profile', makerUrl) : '';
+
+  for (const entry of list.entries) {
+    if (entry.type === 'profile' && profile && entry.value === profile) {
+      return entry;
+    }
+
+    for (const rawEmail of emails) {
+      const email = normalizeValue('email', rawEmail);
+      if (!email) continue;
+
+      if (entry.type === 'email' && entry.value === email) {
+        return entry;
+      }
+
+      const domain = email.split('@')[1] || '';
+      if (entry.type === 'domain' && (domain === entry.value || domain.endsWith(`.${entry.value}`))) {
+        return entry;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describe why a lead was suppressed, for the Sheets output
+ * @param {Object} entry - Matching suppression entry
+ * @returns {string} - e.g. "domain example.com: unsubscribe request"
+ */
+function formatSuppressionReason(entry) {
+  return `${entry.type} ${entry.value}${entry.reason ? `: ${entry.reason}` : ''}`;
+}
+
+// If script is run directly, add or list entries from the command line
+if (require.main === module) {
+  const { loadConfig, parseArgs } = require('./config');
+  const [command, value, ...reasonParts] = parseArgs(process.argv.slice(2)).positionals;
+
+  let list;
+  try {
+    list = loadSuppressionList(loadConfig().suppressionListPath || undefined);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (command === 'add' && value) {
+    const entry = addSuppression(list, value, { reason: reasonParts.join(' ') });
+    console.log(`Suppressed ${formatSuppressionReason(entry)}`);
+  } else if (command === 'list') {
+    list.entries.forEach(entry => console.log(`${entry.addedAt}  ${formatSuppressionReason(entry)}`));
+    console.log(`${list.entries.length} entries in ${list.filePath}`);
+  } else {
+    console.log('Usage: node suppressionList.js add <email|domain|profile-url> [reason]');
+    console.log('       node suppressionList.js list');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  DEFAULT_SUPPRESSION_LIST_PATH,
+  loadSuppressionList,
+  addSuppression,
+  findSuppression,
+  formatSuppressionReason
+};
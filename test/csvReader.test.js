@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createObjectCsvStringifier, createObjectCsvWriter } = require('csv-writer');
+const { createCSVParser, parseCSV, readCSVFile } = require('../csvReader');
+
+const HEADER = [
+  { id: 'name', title: 'Product Name' },
+  { id: 'tagline', title: 'Tagline' },
+  { id: 'email', title: 'Email' }
+];
+
+// Product names and taglines as they turn up on real launches
+const RECORDS = [
+  { name: 'Notion, but for Teams', tagline: 'Plan, write, ship', email: 'hi@acme.io' },
+  { name: 'The "Best" Todo App', tagline: 'Say "hello" to ""focus""', email: '' },
+  { name: 'Multi\nLine', tagline: 'First line\r\nSecond line\nThird', email: 'team@acme.com.au' },
+  { name: '🚀 Launchpad ✨', tagline: 'Émojis, accents & ümlauts — all fine', email: 'ops@acme.dev' },
+  { name: '"Quoted", comma\r\n"and" break', tagline: ',', email: '"' },
+  { name: '', tagline: '', email: '' }
+];
+
+const expectedRows = () => [
+  HEADER.map(column => column.title),
+  ...RECORDS.map(record => HEADER.map(column => record[column.id]))
+];
+
+const stringify = (options = {}) => {
+  const stringifier = createObjectCsvStringifier({ header: HEADER, ...options });
+  return stringifier.getHeaderString() + stringifier.stringifyRecords(RECORDS);
+};
+
+test('round-trips commas, doubled quotes and embedded line breaks', () => {
+  assert.deepEqual(parseCSV(stringify()), expectedRows());
+});
+
+test('round-trips CRLF record delimiters', () => {
+  assert.deepEqual(parseCSV(stringify({ recordDelimiter: '\r\n' })), expectedRows());
+});
+
+test('round-trips fields csv-writer always quotes', () => {
+  assert.deepEqual(parseCSV(stringify({ alwaysQuote: true })), expectedRows());
+});
+
+test('strips a leading byte order mark', () => {
+  const rows = parseCSV(`\uFEFF${stringify()}`);
+  assert.equal(rows[0][0], 'Product Name');
+  assert.deepEqual(rows, expectedRows());
+});
+
+test('gives the same rows wherever a chunk boundary falls', () => {
+  const csv = stringify({ recordDelimiter: '\r\n' });
+
+  for (let split = 1; split < csv.length; split++) {
+    const parser = createCSVParser();
+    const rows = [
+      ...parser.write(csv.slice(0, split)),
+      ...parser.write(csv.slice(split)),
+      ...parser.end()
+    ];
+    assert.deepEqual(rows, expectedRows(), `split at ${split}: ${JSON.stringify(csv.slice(split - 3, split + 3))}`);
+  }
+});
+
+test('gives the same rows when fed one character at a time', () => {
+  const csv = `\uFEFF${stringify({ recordDelimiter: '\r\n' })}`;
+  const parser = createCSVParser();
+  const rows = [];
+  for (const char of csv) {
+    rows.push(...parser.write(char));
+  }
+  rows.push(...parser.end());
+  assert.deepEqual(rows, expectedRows());
+});
+
+test('throws when the text ends inside a quoted field', () => {
+  const parser = createCSVParser();
+  parser.write('Product Name\n"unterminated, field');
+  assert.throws(() => parser.end(), /inside a quoted field/);
+});
+
+test('reads a file written by csv-writer', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-reader-'));
+  const filePath = path.join(directory, 'products.csv');
+
+  try {
+    await createObjectCsvWriter({ path: filePath, header: HEADER }).writeRecords(RECORDS);
+
+    assert.deepEqual(await readCSVFile(filePath), expectedRows());
+
+    const streamed = [];
+    assert.deepEqual(await readCSVFile(filePath, row => streamed.push(row)), []);
+    assert.deepEqual(streamed, expectedRows());
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { findObfuscatedEmails, decodeHtmlEntities, decodeCloudflareEmail, decodeAtDot, assembleScriptStrings } = require('../emailDeobfuscator');
+const { collectEmailCandidates } = require('../emailCandidates');
+const { extractEmails } = require('../emailExtractor');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'obfuscated');
+
+const loadFixture = name => cheerio.load(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+
+// Addresses each technique decodes from a fixture, as "technique email"
+const decode = name => {
+  const found = findObfuscatedEmails(loadFixture(name))
+    .flatMap(({ text, technique }) => extractEmails(text).map(email => `${technique} ${email}`));
+  return Array.from(new Set(found)).sort();
+};
+
+// Addresses the page yields once decoded, whatever the technique
+const collect = name => {
+  const candidates = collectEmailCandidates(loadFixture(name), 'https://acme.io/');
+  return Array.from(new Set(candidates.map(candidate => candidate.email))).sort();
+};
+
+test('[at] and [dot] in text and titles', () => {
+  assert.deepEqual(decode('at-dot.html'), [
+    'at-dot hello@acme.io',
+    'at-dot sales@acme.co.uk',
+    'at-dot team@acme.dev'
+  ]);
+});
+
+test('spelled-out "at" and "dot"', () => {
+  assert.deepEqual(decode('spelled-out.html'), ['at-dot jane@acme.com']);
+});
+
+test('Cloudflare data-cfemail', () => {
+  assert.deepEqual(decode('cloudflare-cfemail.html'), ['cloudflare press@acme.io']);
+});
+
+test('Cloudflare /cdn-cgi/l/email-protection# links', () => {
+  assert.deepEqual(decode('cloudflare-href.html'), ['cloudflare support@acme.io']);
+});
+
+test('entity-encoded mailto links', () => {
+  assert.deepEqual(decode('entity-mailto.html'), ['entities hi@acme.io']);
+});
+
+test('text reversed with unicode-bidi and direction: rtl', () => {
+  assert.deepEqual(decode('css-reversed.html'), [
+    'reversed contact@acme.io',
+    'reversed inline@acme.io'
+  ]);
+});
+
+test('addresses assembled in JavaScript', () => {
+  assert.deepEqual(decode('js-assembled.html'), [
+    'javascript billing@acme.io',
+    'javascript founders@acme.io',
+    'javascript hi@acme.io',
+    'javascript jobs@acme.io',
+    'javascript press@acme.io'
+  ]);
+});
+
+test('out-of-range entities are left alone instead of failing the page', () => {
+  assert.equal(decodeHtmlEntities('&#99999999; &#xFFFFFFF; &#x40;'), '&#99999999; &#xFFFFFFF; @');
+  assert.deepEqual(decode('out-of-range-entities.html'), [
+    'at-dot hello@acme.io',
+    'javascript team@acme.io'
+  ]);
+  assert.deepEqual(collect('out-of-range-entities.html'), ['hello@acme.io', 'team@acme.io']);
+});
+
+test('decoded addresses reach the email candidates', () => {
+  assert.deepEqual(collect('cloudflare-cfemail.html'), ['press@acme.io']);
+  assert.deepEqual(collect('css-reversed.html'), ['contact@acme.io', 'inline@acme.io']);
+  assert.deepEqual(collect('spelled-out.html'), ['jane@acme.com']);
+});
+
+test('leaves ordinary text, rtl text and unresolved scripts alone', () => {
+  assert.equal(decodeAtDot('Meet us at the office at noon.'), '');
+  assert.equal(decodeAtDot('We are at acme.'), '');
+  assert.equal(decodeAtDot('plain@acme.io'), '');
+  assert.equal(decodeCloudflareEmail('not-hex'), '');
+  assert.equal(decodeCloudflareEmail('5a2a2'), '');
+  assert.equal(decodeCloudflareEmail(''), '');
+  assert.deepEqual(assembleScriptStrings("var address = name + '@' + domain;").flatMap(extractEmails), []);
+  assert.deepEqual(assembleScriptStrings('var total = price + tax;'), []);
+
+  // Only bidi-override reverses text - direction: rtl alone is real right-to-left text
+  const reversed = decode('css-reversed.html').join(' ');
+  assert.ok(!reversed.includes('not@acme.com'));
+  assert.ok(!reversed.includes('her@acme.com'));
+
+  // JSON blocks are data, not scripts to assemble
+  assert.ok(!decode('js-assembled.html').some(entry => entry.endsWith('a@b.io')));
+});
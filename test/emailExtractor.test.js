@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractEmails, isValidEmail } = require('../emailExtractor');
+
+test('keeps multi-label public suffixes whole', () => {
+  assert.deepEqual(extractEmails('Write to john@acme.com.au or jo@acme.co.uk.'), ['john@acme.com.au', 'jo@acme.co.uk']);
+});
+
+test('cuts text glued on where the case changes', () => {
+  assert.deepEqual(extractEmails('hi@acme.ioTwitter'), ['hi@acme.io']);
+  assert.deepEqual(extractEmails('me@acme.io.Next page'), ['me@acme.io']);
+  assert.deepEqual(extractEmails('x@AcmeCorp.com'), ['x@acmecorp.com']);
+});
+
+test('rejects unknown suffixes instead of truncating them', () => {
+  ['ops@corp.internal', 'foo@site.notatld', 'x@acme.cocoa', 'x@acme.comma', 'x@team.devs'].forEach(text => {
+    assert.deepEqual(extractEmails(text), [], text);
+  });
+});
+
+test('rejects asset filenames', () => {
+  assert.deepEqual(extractEmails('<img src="logo@2x.png"> icon@3x.webp sprite@2x-dark.svg'), []);
+});
+
+test('validates a whole string as one address', () => {
+  assert.equal(isValidEmail('Jane.Doe+tag@sub.acme.dev'), true);
+  assert.equal(isValidEmail('a b@acme.com'), false);
+  assert.equal(isValidEmail('.lead@acme.io'), false);
+  assert.equal(isValidEmail('a..b@acme.io'), false);
+  assert.equal(isValidEmail('u@192.168.0.1'), false);
+  assert.equal(isValidEmail('a@localhost'), false);
+});
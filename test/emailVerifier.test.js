@@ -0,0 +1,172 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createDnsVerifier, createEmailVerifier } = require('../emailVerifier');
+
+const dnsError = code => Object.assign(new Error(`queryMx ${code}`), { code });
+
+// Stub resolver answering from a table of { domain: { mx, a } }; a missing
+// entry or an Error value is thrown like dns.promises would
+const createResolver = records => {
+  const answer = (domain, type) => {
+    const value = (records[domain] || {})[type];
+    if (value === undefined) return Promise.reject(dnsError('ENOTFOUND'));
+    if (value instanceof Error) return Promise.reject(value);
+    return Promise.resolve(value);
+  };
+  return {
+    resolveMx: domain => answer(domain, 'mx'),
+    resolve4: domain => answer(domain, 'a')
+  };
+};
+
+// Fake SMTP server that accepts every command and answers RCPT TO with rcptCode
+const createSmtpServer = rcptCode => {
+  const connections = [];
+  const connect = (port, host) => {
+    const socket = new EventEmitter();
+    connections.push({ port, host });
+    socket.setEncoding = () => {};
+    socket.end = () => {};
+    socket.write = line => {
+      const reply = line.startsWith('RCPT TO') ? `${rcptCode} recipient` : '250 OK';
+      setImmediate(() => socket.emit('data', `${reply}\r\n`));
+    };
+    setImmediate(() => socket.emit('data', '220 mx.acme.io ESMTP\r\n'));
+    return socket;
+  };
+  return { connect, connections };
+};
+
+test('accepts a domain with MX records, best priority first', async () => {
+  const verifier = createDnsVerifier({
+    resolver: createResolver({
+      'acme.io': { mx: [{ exchange: 'mx2.acme.io.', priority: 20 }, { exchange: 'mx1.acme.io.', priority: 10 }] }
+    })
+  });
+
+  const result = await verifier.verify('jane@acme.io');
+  assert.equal(result.isValid, true);
+  assert.equal(result.status, 'valid');
+  assert.deepEqual(result.mxHosts, ['mx1.acme.io', 'mx2.acme.io']);
+});
+
+test('falls back to the A record when there is no MX', async () => {
+  const verifier = createDnsVerifier({
+    resolver: createResolver({ 'acme.io': { mx: dnsError('ENODATA'), a: ['203.0.113.7'] } })
+  });
+
+  const result = await verifier.verify('jane@acme.io');
+  assert.equal(result.isValid, true);
+  assert.deepEqual(result.mxHosts, ['acme.io']);
+});
+
+test('rejects a null MX', async () => {
+  const verifier = createDnsVerifier({
+    resolver: createResolver({ 'acme.io': { mx: [{ exchange: '.', priority: 0 }], a: ['203.0.113.7'] } })
+  });
+
+  const result = await verifier.verify('jane@acme.io');
+  assert.equal(result.isValid, false);
+  assert.equal(result.status, 'no_mx');
+  assert.match(result.message, /does not accept email/);
+});
+
+test('rejects a domain that does not exist', async () => {
+  const verifier = createDnsVerifier({
+    resolver: createResolver({ 'acme.io': { mx: dnsError('ENOTFOUND'), a: dnsError('ENOTFOUND') } })
+  });
+
+  const result = await verifier.verify('jane@acme.io');
+  assert.equal(result.isValid, false);
+  assert.equal(result.status, 'no_mx');
+});
+
+test('passes on resolver failures without judging the address', async () => {
+  const verifier = createDnsVerifier({
+    resolver: createResolver({ 'acme.io': { mx: dnsError('ETIMEOUT') } })
+  });
+
+  const result = await verifier.verify('jane@acme.io');
+  assert.equal(result.isValid, true);
+  assert.equal(result.status, 'dns_unavailable');
+});
+
+test('rejects a parked domain', async () => {
+  const verifier = createDnsVerifier({
+    resolver: createResolver({ 'acme.io': { mx: [{ exchange: 'mx76.m2bp.com.sedoparking.com.', priority: 10 }] } })
+  });
+
+  const result = await verifier.verify('jane@acme.io');
+  assert.equal(result.isValid, false);
+  assert.equal(result.status, 'parked');
+});
+
+test('flags a catch-all mail server', async () => {
+  const smtp = createSmtpServer(250);
+  const verifier = createDnsVerifier({
+    resolver: createResolver({ 'acme.io': { mx: [{ exchange: 'mx1.acme.io.', priority: 10 }] } }),
+    smtpProbe: true,
+    connect: smtp.connect
+  });
+
+  const result = await verifier.verify('jane@acme.io');
+  assert.equal(result.isValid, true);
+  assert.equal(result.status, 'catch_all');
+  assert.equal(result.catchAll, true);
+  assert.deepEqual(smtp.connections, [{ port: 25, host: 'mx1.acme.io' }]);
+});
+
+test('does not flag a server that refuses unknown mailboxes', async () => {
+  const verifier = createDnsVerifier({
+    resolver: createResolver({ 'acme.io': { mx: [{ exchange: 'mx1.acme.io.', priority: 10 }] } }),
+    smtpProbe: true,
+    connect: createSmtpServer(550).connect
+  });
+
+  const result = await verifier.verify('jane@acme.io');
+  assert.equal(result.status, 'valid');
+  assert.equal(result.catchAll, false);
+});
+
+test('suggests the intended domain for a typo without asking DNS', async () => {
+  const verifier = createDnsVerifier({
+    resolver: {
+      resolveMx: () => assert.fail('DNS should not be asked'),
+      resolve4: () => assert.fail('DNS should not be asked')
+    }
+  });
+
+  for (const email of ['jane@gmial.com', 'jane@gmail.con']) {
+    const result = await verifier.verify(email);
+    assert.equal(result.status, 'typo', email);
+    assert.equal(result.suggestion, 'gmail.com', email);
+  }
+});
+
+test('the reoon provider never pays for an address the offline checks reject', async () => {
+  const axios = require('axios');
+  const originalGet = axios.get;
+  const requested = [];
+  axios.get = async (url, options) => {
+    requested.push(options.params.email);
+    return { data: { status: 'valid' } };
+  };
+
+  try {
+    const verifier = createEmailVerifier({ provider: 'reoon', apiKey: 'test-key' });
+
+    for (const email of ['logo@2x.png', 'x@gmial.com', 'not an email', 'ops@corp.internal', 'jane@mailinator.com']) {
+      const result = await verifier.verify(email);
+      assert.equal(result.isValid, false, email);
+    }
+    assert.deepEqual(requested, []);
+
+    // Role accounts are accepted and go on to Reoon
+    const result = await verifier.verify('info@acme.io');
+    assert.equal(result.isValid, true);
+    assert.deepEqual(requested, ['info@acme.io']);
+  } finally {
+    axios.get = originalGet;
+  }
+});
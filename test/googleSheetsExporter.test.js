@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { openDatabase, getPreviousOutreach } = require('../database');
+const { verifyAndFilterData, recordExportedRows, sheetRange, isMissingSheetError } = require('../google-sheets-exporter');
+
+const HEADERS = ['Product Name', 'Product URL', 'Maker URL', 'Email'];
+
+const ROWS = [
+  ['Acme', 'https://ph.test/acme', 'https://ph.test/@sent', 'sent@acme.io'],
+  ['Bolt', 'https://ph.test/bolt', 'https://ph.test/@failed', 'failed@bolt.io'],
+  ['Acme Two', 'https://ph.test/acme-two', 'https://ph.test/@sent', 'sent@acme.io'],
+  ['Cove', 'https://ph.test/cove', 'https://ph.test/@known', 'known@cove.io']
+];
+
+// Fake Instantly bulk endpoint: failed@ gets a 500, known@ is already in the
+// workspace, everyone else is created
+const startInstantly = () => new Promise(resolve => {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const leads = JSON.parse(body).leads;
+      if (leads.some(lead => lead.email.startsWith('failed@'))) {
+        res.writeHead(500).end('{}');
+        return;
+      }
+      const created = leads.filter(lead => !lead.email.startsWith('known@'));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ created_leads: created }));
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const verify = (db, instantly) => verifyAndFilterData([[...HEADERS], ...ROWS.map(row => [...row])], {
+  db,
+  instantly,
+  suppressionList: { entries: [] },
+  verifier: { verify: async () => ({ isValid: true, status: 'valid', message: '' }) }
+});
+
+const contacted = (db, row) => getPreviousOutreach(db, { emails: [row[3]], makerUrl: row[2] });
+
+test('only leads that were sent to Instantly are remembered as contacted', async () => {
+  const server = await startInstantly();
+  const db = openDatabase(':memory:');
+  try {
+    const rows = await verify(db, {
+      apiToken: 'token',
+      apiUrl: `http://127.0.0.1:${server.address().port}/leads`,
+      campaignId: 'campaign',
+      batchSize: 1
+    });
+    recordExportedRows(db, rows);
+
+    const instantlyIndex = rows[0].indexOf('Instantly Status');
+    assert.deepEqual(rows.slice(1).map(row => row[instantlyIndex]), ['Sent', 'Failed', 'Duplicate', 'Duplicate in Instantly']);
+
+    assert.ok(contacted(db, ROWS[0]));
+    assert.equal(contacted(db, ROWS[1]), null);
+    assert.equal(contacted(db, ROWS[3]), null);
+  } finally {
+    db.close();
+    server.close();
+  }
+});
+
+test('without an Instantly push the exported leads are remembered', async () => {
+  const db = openDatabase(':memory:');
+  try {
+    const rows = await verify(db, {});
+    recordExportedRows(db, rows);
+
+    const instantlyIndex = rows[0].indexOf('Instantly Status');
+    assert.deepEqual(rows.slice(1).map(row => row[instantlyIndex]), ['Not Sent', 'Not Sent', 'Duplicate', 'Not Sent']);
+    ROWS.forEach(row => assert.ok(contacted(db, row)));
+  } finally {
+    db.close();
+  }
+});
+
+test('tab names are quoted in ranges', () => {
+  assert.equal(sheetRange('2024-05-01', 'A1'), "'2024-05-01'!A1");
+  assert.equal(sheetRange("Maker's Leads", 'A:A'), "'Maker''s Leads'!A:A");
+  assert.equal(sheetRange('Data'), "'Data'");
+});
+
+test('only a missing tab is treated as one to create', () => {
+  const apiError = (code, message) => Object.assign(new Error(message), { code });
+  assert.equal(isMissingSheetError(apiError(400, "Unable to parse range: '2024-05-01'!A:A")), true);
+  assert.equal(isMissingSheetError(apiError(401, 'Request had invalid authentication credentials.')), false);
+  assert.equal(isMissingSheetError(apiError(429, 'Quota exceeded for quota metric')), false);
+  assert.equal(isMissingSheetError(apiError('ECONNRESET', 'socket hang up')), false);
+});
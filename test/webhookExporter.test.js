@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createWebhookExporter } = require('../webhookExporter');
+
+// Receiver that accepts /ok and answers everything else with a 503
+const startReceiver = () => new Promise(resolve => {
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => res.writeHead(req.url === '/ok' ? 200 : 503).end());
+  });
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const readEntries = file => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+test('replay keeps only the events that still fail', async () => {
+  const server = await startReceiver();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+  const deadLetterPath = path.join(dir, 'dead-letter.ndjson');
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    fs.writeFileSync(deadLetterPath, [
+      { url: `${base}/ok`, event: 'product.completed', payload: { name: 'Acme' }, error: 'HTTP 503' },
+      { url: `${base}/down`, event: 'product.completed', payload: { name: 'Bolt' }, error: 'HTTP 503' }
+    ].map(entry => `${JSON.stringify(entry)}\n`).join(''));
+
+    const webhooks = createWebhookExporter({ urls: [`${base}/ok`], maxRetries: 0, deadLetterPath });
+    assert.deepEqual(await webhooks.replayDeadLetters(), { delivered: 1, failed: 1 });
+
+    const remaining = readEntries(deadLetterPath);
+    assert.deepEqual(remaining.map(entry => entry.payload.name), ['Bolt']);
+    assert.equal(remaining[0].url, `${base}/down`);
+    assert.equal(fs.existsSync(`${deadLetterPath}.tmp`), false);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -50,6 +50,21 @@ function cleanText(text) {
   return text.replace(/\s+/g, ' ').trim();
 }
 
+/**
+ * Parse a displayed count such as "1,234", "1.2K" or "3M" into a number
+ * @param {string} text - Text containing the count
+ * @returns {number|null} - Parsed count or null if no number was found
+ */
+function parseCount(text) {
+  if (!text) return null;
+  
+  const match = String(text).replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([kKmM])?/);
+  if (!match) return null;
+  
+  const multiplier = { k: 1000, m: 1000000 }[(match[2] || '').toLowerCase()] || 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
 /**
  * Validate a URL
  * @param {string} url - URL to validate
@@ -65,43 +80,159 @@ function isValidUrl(url) {
 }
 
 /**
- * Extracts date from a Product Hunt leaderboard URL
- * @param {string} url - URL in format https://www.producthunt.com/leaderboard/daily/YYYY/M/D/all
- * @returns {string} Formatted date string (YYYY-MM-DD)
+ * Get the ISO-8601 week number and week-year for a date
+ * @param {Date} date - Date to inspect
+ * @returns {Object} - { year, week }
+ */
+function getIsoWeek(date) {
+  const target = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  // Thursday of the current week decides which year the week belongs to
+  const dayNumber = target.getUTCDay() || 7;
+  target.setUTCDate(target.getUTCDate() + 4 - dayNumber);
+  const yearStart = new Date(Date.UTC(target.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((target - yearStart) / 86400000 + 1) / 7);
+  
+  return { year: target.getUTCFullYear(), week };
+}
+
+/**
+ * Parse a Product Hunt leaderboard URL into its period and date parts
+ * Supported formats:
+ *   /leaderboard/daily/YYYY/M/D/all
+ *   /leaderboard/weekly/YYYY/W/all
+ *   /leaderboard/monthly/YYYY/M/all
+ *   /leaderboard/yearly/YYYY/all
+ * (the trailing /all is optional)
+ * @param {string} url - Leaderboard URL
+ * @returns {Object|null} - { period, year, month, week, day } or null if not a leaderboard URL
+ */
+function parseLeaderboardUrl(url) {
+  if (!url || !isValidUrl(url)) return null;
+  
+  const match = url.match(/\/leaderboard\/(daily|weekly|monthly|yearly)\/([0-9]{4})(?:\/([0-9]{1,2}))?(?:\/([0-9]{1,2}))?(?:\/all)?\/?(?:[?#].*)?$/);
+  if (!match) return null;
+  
+  const period = match[1];
+  const year = parseInt(match[2], 10);
+  const first = match[3] ? parseInt(match[3], 10) : null;
+  const second = match[4] ? parseInt(match[4], 10) : null;
+  
+  switch (period) {
+    case 'daily':
+      if (first === null || second === null) return null;
+      return { period, year, month: first, week: null, day: second };
+    case 'weekly':
+      if (first === null || second !== null) return null;
+      return { period, year, month: null, week: first, day: null };
+    case 'monthly':
+      if (first === null || second !== null) return null;
+      return { period, year, month: first, week: null, day: null };
+    default:
+      if (first !== null) return null;
+      return { period, year, month: null, week: null, day: null };
+  }
+}
+
+/**
+ * Build a Product Hunt leaderboard URL for the period containing a date
+ * @param {string} period - One of daily, weekly, monthly, yearly
+ * @param {Date} date - Any date inside the wanted period
+ * @returns {string} - Leaderboard URL (no leading zeros, as Product Hunt uses)
+ */
+function buildLeaderboardUrl(period, date) {
+  const base = 'https://www.producthunt.com/leaderboard';
+  
+  switch (period) {
+    case 'daily':
+      return `${base}/daily/${date.getFullYear()}/${date.getMonth() + 1}/${date.getDate()}/all`;
+    case 'weekly': {
+      const { year, week } = getIsoWeek(date);
+      return `${base}/weekly/${year}/${week}/all`;
+    }
+    case 'monthly':
+      return `${base}/monthly/${date.getFullYear()}/${date.getMonth() + 1}/all`;
+    case 'yearly':
+      return `${base}/yearly/${date.getFullYear()}/all`;
+    default:
+      throw new Error(`Unknown leaderboard period: ${period}`);
+  }
+}
+
+/**
+ * Extracts the leaderboard date from a Product Hunt leaderboard URL
+ * Daily leaderboards keep the plain YYYY-MM-DD format, other periods
+ * are prefixed with their period type:
+ *   weekly  -> "weekly 2025-W11"
+ *   monthly -> "monthly 2025-03"
+ *   yearly  -> "yearly 2025"
+ * @param {string} url - Leaderboard URL (see parseLeaderboardUrl for formats)
+ * @returns {string} Formatted date string, or '' if the URL is not a leaderboard
  */
 function extractDateFromUrl(url) {
   try {
-    // Default value in case extraction fails
-    const defaultDate = '';
-    
-    if (!url || !isValidUrl(url)) return defaultDate;
-    
-    // Extract date components using regex
-    const datePattern = /\/leaderboard\/daily\/([0-9]{4})\/([0-9]{1,2})\/([0-9]{1,2})\/all/;
-    const match = url.match(datePattern);
-    
-    if (match && match.length === 4) {
-      const year = match[1];
-      // Ensure month and day are padded with leading zeros if needed
-      const month = String(match[2]).padStart(2, '0');
-      const day = String(match[3]).padStart(2, '0');
-      
-      // Return a formatted date string
-      return `${year}-${month}-${day}`;
-    }
+    const info = parseLeaderboardUrl(url);
+    if (!info) return '';
     
-    return defaultDate;
+    const label = formatLeaderboardLabel(info);
+    return info.period === 'daily' ? label : `${info.period} ${label}`;
   } catch (error) {
     console.error(`Error extracting date from URL: ${error.message}`);
     return '';
   }
 }
 
+/**
+ * Format the date part of a parsed leaderboard URL
+ * @param {Object} info - Result of parseLeaderboardUrl
+ * @returns {string} - YYYY-MM-DD, YYYY-Www, YYYY-MM or YYYY
+ */
+function formatLeaderboardLabel(info) {
+  const pad = value => String(value).padStart(2, '0');
+  
+  switch (info.period) {
+    case 'daily':
+      return `${info.year}-${pad(info.month)}-${pad(info.day)}`;
+    case 'weekly':
+      return `${info.year}-W${pad(info.week)}`;
+    case 'monthly':
+      return `${info.year}-${pad(info.month)}`;
+    default:
+      return `${info.year}`;
+  }
+}
+
+/**
+ * Build the Puppeteer launch options shared by every entry point
+ * @param {boolean} headless - Whether to run the browser headless
+ * @returns {Object} - Options for puppeteer.launch
+ */
+function getBrowserLaunchOptions(headless) {
+  return {
+    headless,
+    defaultViewport: { width: 1366, height: 768 },
+    args: [
+      '--window-size=1366,768',
+      '--disable-features=site-per-process',
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--disable-software-rasterizer'
+    ]
+  };
+}
+
 module.exports = {
   delay,
   formatDate,
   randomDelay,
   cleanText,
+  parseCount,
   isValidUrl,
-  extractDateFromUrl
+  getIsoWeek,
+  parseLeaderboardUrl,
+  buildLeaderboardUrl,
+  formatLeaderboardLabel,
+  extractDateFromUrl,
+  getBrowserLaunchOptions
 }; 
\ No newline at end of file
@@ -0,0 +1,207 @@
+// Webhook Exporter Module
+// POSTs scrape results as JSON to configurable URLs - each product as soon
+// as it is done, and/or the whole leaderboard once the run finishes. Bodies
+// are HMAC-signed, failed deliveries are retried with exponential backoff and
+// anything that still fails is written to a dead-letter file for replay.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { delay } = require('./utils');
+
+const DEFAULT_DEAD_LETTER_PATH = path.join(__dirname, 'data', 'webhook-dead-letter.ndjson');
+
+/**
+ * Sign a webhook body
+ * Receivers recompute HMAC-SHA256(secret, "<timestamp>.<body>") and compare
+ * it with the X-PHScraper-Signature header; the timestamp lets them reject
+ * replayed requests.
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Unix time in seconds, as sent in X-PHScraper-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} - "sha256=<hex digest>"
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Should a failed delivery be tried again?
+ * Network errors, timeouts, 429 and 5xx are transient; other 4xx mean the
+ * receiver rejected the payload and retrying will not help.
+ * @param {Error} error - Error from axios
+ * @returns {boolean} - true if the delivery should be retried
+ */
+function isRetryable(error) {
+  if (!error.response) return true;
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Create a webhook exporter
+ * @param {Object} options - Exporter options
+ * @param {Array} options.urls - Endpoints every event is sent to
+ * @param {string} options.secret - HMAC secret (bodies are unsigned if empty)
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {number} options.retryDelay - Delay before the first retry (ms), doubled each time
+ * @param {number} options.timeoutMs - Request timeout (ms)
+ * @param {string} options.deadLetterPath - File that undeliverable events are appended to
+ * @returns {Object} - Exporter with send(event, payload) and isEnabled()
+ */
+function createWebhookExporter(options = {}) {
+  const urls = options.urls || [];
+  const secret = options.secret || '';
+  const maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+  const retryDelay = options.retryDelay || 2000;
+  const timeoutMs = options.timeoutMs || 15000;
+  const deadLetterPath = options.deadLetterPath || DEFAULT_DEAD_LETTER_PATH;
+
+  const writeDeadLetter = entry => {
+    const dir = path.dirname(deadLetterPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.appendFileSync(deadLetterPath, `${JSON.stringify(entry)}\n`);
+  };
+
+  // Deliver one event to one URL, retrying transient failures
+  // Returns null on success, otherwise the dead-letter entry for the event
+  const attemptDelivery = async (url, event, payload) => {
+    const body = JSON.stringify({ event, sentAt: new Date().toISOString(), data: payload });
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      if (attempt > 0) {
+        await delay(retryDelay * Math.pow(2, attempt - 1));
+      }
+
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-PHScraper-Event': event,
+        'X-PHScraper-Timestamp': timestamp
+      };
+      if (secret) {
+        headers['X-PHScraper-Signature'] = signPayload(secret, timestamp, body);
+      }
+
+      try {
+        await axios.post(url, body, { headers, timeout: timeoutMs });
+        return null;
+      } catch (error) {
+        lastError = error;
+        const status = error.response ? `HTTP ${error.response.status}` : error.message;
+        console.error(`Webhook ${event} to ${url} failed (attempt ${attempt + 1}/${maxRetries + 1}): ${status}`);
+        if (!isRetryable(error)) break;
+      }
+    }
+
+    return {
+      url,
+      event,
+      payload,
+      error: lastError.response ? `HTTP ${lastError.response.status}` : lastError.message,
+      failedAt: new Date().toISOString()
+    };
+  };
+
+  // Deliver one event to one URL, dead-lettering it if it cannot be delivered
+  const deliver = async (url, event, payload) => {
+    const failure = await attemptDelivery(url, event, payload);
+    if (!failure) return true;
+
+    writeDeadLetter(failure);
+    console.error(`Webhook ${event} to ${url} written to dead-letter file ${deadLetterPath}`);
+    return false;
+  };
+
+  /**
+   * Send an event to every configured URL
+   * Never throws - undeliverable events end up in the dead-letter file.
+   * @param {string} event - Event name (e.g. "product.completed")
+   * @param {Object} payload - JSON-serializable data
+   * @returns {Promise<boolean>} - true if every URL accepted the event
+   */
+  const send = async (event, payload) => {
+    if (urls.length === 0) return true;
+    const results = await Promise.all(urls.map(url => deliver(url, event, payload)));
+    return results.every(Boolean);
+  };
+
+  /**
+   * Re-send everything in the dead-letter file
+   * The file is only replaced once every event was tried - events that fail
+   * again, and any dead-lettered meanwhile by a running scrape, are written
+   * to a temp file that is renamed over it, so a crash never loses one.
+   * @returns {Promise<Object>} - { delivered, failed }
+   */
+  const replayDeadLetters = async () => {
+    if (!fs.existsSync(deadLetterPath)) return { delivered: 0, failed: 0 };
+
+    const contents = fs.readFileSync(deadLetterPath, 'utf8');
+    const entries = contents.split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+    const stillFailing = [];
+    for (const entry of entries) {
+      const failure = await attemptDelivery(entry.url, entry.event, entry.payload);
+      if (failure) stillFailing.push(failure);
+    }
+
+    // Keep whatever was appended while the replay ran
+    const current = fs.readFileSync(deadLetterPath, 'utf8');
+    const appended = current.startsWith(contents) ? current.slice(contents.length) : '';
+
+    const tempPath = `${deadLetterPath}.tmp`;
+    fs.writeFileSync(tempPath, stillFailing.map(entry => `${JSON.stringify(entry)}\n`).join('') + appended);
+    fs.renameSync(tempPath, deadLetterPath);
+
+    return { delivered: entries.length - stillFailing.length, failed: stillFailing.length };
+  };
+
+  return {
+    isEnabled: () => urls.length > 0,
+    send,
+    replayDeadLetters
+  };
+}
+
+// If script is run directly, replay the dead-letter file
+if (require.main === module) {
+  const { loadConfig, parseArgs } = require('./config');
+  const command = parseArgs(process.argv.slice(2)).positionals[0];
+
+  if (command !== 'replay') {
+    console.log('Usage: node webhookExporter.js replay');
+    process.exit(1);
+  }
+
+  let config;
+  try {
+    config = loadConfig();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  createWebhookExporter({
+    urls: config.webhookUrls,
+    secret: config.webhookSecret,
+    maxRetries: config.webhookMaxRetries,
+    deadLetterPath: config.webhookDeadLetterPath || undefined
+  }).replayDeadLetters()
+    .then(({ delivered, failed }) => {
+      console.log(`Replayed dead letters: ${delivered} delivered, ${failed} failed`);
+      process.exit(failed > 0 ? 1 : 0);
+    })
+    .catch(err => {
+      console.error(err);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  signPayload,
+  createWebhookExporter
+};
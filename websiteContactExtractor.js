@@ -1,14 +1,268 @@
 // Website Contact Extractor Module
+// Most product websites are static marketing pages, so they are fetched over
+// plain HTTP and parsed with cheerio first; a browser page is only opened for
+// client-rendered sites or when the fast path finds nothing. Either way the
+// site is crawled (see siteCrawler.js) and contacts from every page merged.
+const axios = require('axios');
 const cheerio = require('cheerio');
 const { delay, randomDelay, isValidUrl } = require('./utils');
+const { CONTACT_PAGE_PRIORITY, getPagePriority, crawlSite } = require('./siteCrawler');
+const { collectEmailCandidates, rankEmailCandidates } = require('./emailCandidates');
+const { extractEmails } = require('./emailExtractor');
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36';
+
+// Elements single-page apps mount into - empty in the served HTML
+const SPA_ROOT_SELECTORS = ['#root', '#app', '#__next', '#__nuxt', '#___gatsby', '#svelte', '[data-reactroot]', 'app-root'];
+
+// Less visible text than this means the content is rendered by JavaScript
+const MIN_STATIC_TEXT_LENGTH = 200;
+
+/**
+ * Fetch a URL without a browser
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Fetch options
+ * @param {Object} options.throttle - Host throttle from rateLimiter.createHostThrottle
+ * @param {number} options.timeoutMs - Request timeout (ms)
+ * @returns {Promise<Object|null>} - { body, url, contentType } with the final URL after redirects, or null if the fetch failed
+ */
+async function fetchUrl(url, options = {}) {
+  const throttle = options.throttle || null;
+  if (throttle) {
+    await throttle.wait(url);
+  }
+  
+  const startTime = Date.now();
+  try {
+    const response = await axios.get(url, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9'
+      },
+      timeout: options.timeoutMs || 15000,
+      maxContentLength: 5 * 1024 * 1024,
+      maxRedirects: 5,
+      responseType: 'text'
+    });
+    
+    if (throttle) {
+      throttle.recordResponse(url, Date.now() - startTime);
+    }
+    
+    // Redirects are followed, so resolve links against the final URL
+    const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+    return {
+      body: String(response.data || ''),
+      url: finalUrl,
+      contentType: String(response.headers['content-type'] || '')
+    };
+  } catch (error) {
+    if (throttle) {
+      throttle.recordFailure(url);
+    }
+    const status = error.response ? `HTTP ${error.response.status}` : error.message;
+    console.log(`HTTP fetch of ${url} failed: ${status}`);
+    return null;
+  }
+}
+
+/**
+ * Fetch a page's HTML without a browser
+ * @param {string} url - Page URL
+ * @param {Object} options - Fetch options, as for fetchUrl
+ * @returns {Promise<Object|null>} - { html, url }, or null if the page could not be fetched or is not HTML
+ */
+async function fetchHtml(url, options = {}) {
+  const response = await fetchUrl(url, options);
+  if (!response) return null;
+  
+  if (response.contentType && !response.contentType.includes('html')) {
+    console.log(`Not an HTML page (${response.contentType}): ${url}`);
+    return null;
+  }
+  
+  return { html: response.body, url: response.url };
+}
+
+/**
+ * Fetch a sitemap's XML
+ * @param {string} url - Sitemap URL
+ * @param {Object} options - Fetch options, as for fetchUrl
+ * @returns {Promise<string|null>} - XML text, or null if there is no sitemap
+ */
+async function fetchSitemap(url, options = {}) {
+  const response = await fetchUrl(url, options);
+  // Sites without a sitemap often answer with their HTML 404 page
+  if (!response || (!response.body.trimStart().startsWith('<?xml') && !/<(?:urlset|sitemapindex)[\s>]/.test(response.body))) {
+    return null;
+  }
+  return response.body;
+}
+
+/**
+ * Does the served HTML need a browser to show its content?
+ * True for empty single-page app shells, "enable JavaScript" notices and
+ * pages with almost no text.
+ * @param {Object} $ - Cheerio document
+ * @returns {boolean} - true if the page is rendered client-side
+ */
+function isClientRendered($) {
+  const noscriptText = $('noscript').text().toLowerCase();
+  if (noscriptText.includes('enable javascript') || noscriptText.includes('javascript enabled') || noscriptText.includes('javascript is required')) {
+    return true;
+  }
+  
+  const emptyRoot = SPA_ROOT_SELECTORS.some(selector => {
+    const root = $(selector).first();
+    return root.length > 0 && root.text().trim().length === 0;
+  });
+  if (emptyRoot) {
+    return true;
+  }
+  
+  const body = $('body').clone();
+  body.find('script, style, noscript, template, svg').remove();
+  return body.text().replace(/\s+/g, ' ').trim().length < MIN_STATIC_TEXT_LENGTH;
+}
+
+/**
+ * Extract contact info from served HTML - the cheerio-only counterpart of
+ * extractContactInfoFromPage
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL the HTML was loaded from
+ * @returns {Object} - Contact information (email, twitter, linkedin, website) and every email sighting (emails)
+ */
+function extractContactInfoFromHtml(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const contactInfo = extractContactLinks($, pageUrl);
+  contactInfo.emails = collectEmailCandidates($, pageUrl);
+  
+  if (!contactInfo.email) {
+    contactInfo.email = pickBestEmail(contactInfo.emails.map(candidate => candidate.email));
+    if (contactInfo.email) {
+      console.log(`Found email in HTML: ${contactInfo.email}`);
+    }
+  }
+  
+  return contactInfo;
+}
+
+/**
+ * Merge the contact info found on several pages of a site
+ * Social links are taken from the highest-priority page that has them
+ * (contact page before homepage before legal pages); the email is the best
+ * of all addresses found on any page. The page each came from is recorded
+ * as its source.
+ * @param {Array} pages - [{ url, priority, info }] in visiting order
+ * @param {string} siteUrl - Homepage URL, the last resort for the contact page
+ * @returns {Object} - Contact information (email, twitter, linkedin, website) with sources { email, twitter, linkedin } and all ranked emails
+ */
+function mergeContactInfo(pages, siteUrl) {
+  // Array sort is stable, so equal priorities keep visiting order
+  const ranked = [...pages].sort((a, b) => b.priority - a.priority);
+  const merged = {
+    email: '',
+    twitter: '',
+    linkedin: '',
+    website: '',
+    sources: { email: '', twitter: '', linkedin: '' },
+    emails: []
+  };
+  
+  ['twitter', 'linkedin'].forEach(field => {
+    const page = ranked.find(entry => entry.info[field]);
+    if (page) {
+      merged[field] = page.info[field];
+      merged.sources[field] = page.url;
+    }
+  });
+  
+  // Every address from every page, ranked - the best one is the email
+  const sightings = [];
+  ranked.forEach(entry => {
+    sightings.push(...(entry.info.emails || []));
+    
+    // An address only the in-page extraction found
+    const email = (entry.info.email || '').toLowerCase();
+    if (email && !sightings.some(sighting => sighting.email === email)) {
+      sightings.push({ email, sourcePage: entry.url, method: 'text' });
+    }
+  });
+  merged.emails = rankEmailCandidates(sightings, { siteUrl, preferredType: 'role' });
+  if (merged.emails.length > 0) {
+    merged.email = merged.emails[0].email;
+    merged.sources.email = merged.emails[0].sourcePage;
+  }
+  
+  // The contact page we visited, else the best contact link we saw
+  const contactPage = ranked.find(entry => entry.priority >= CONTACT_PAGE_PRIORITY);
+  const linkedPage = ranked.find(entry => entry.info.website);
+  if (contactPage) {
+    merged.website = contactPage.url;
+  } else if (linkedPage) {
+    merged.website = linkedPage.info.website;
+  } else {
+    try {
+      merged.website = new URL(siteUrl).origin;
+    } catch (error) {
+      console.log('Error creating URL from origin:', error.message);
+    }
+  }
+  
+  return merged;
+}
+
+/**
+ * Fast path: crawl the site over plain HTTP
+ * @param {string} websiteUrl - URL of the product website
+ * @param {Object} options - { throttle, crawl } as for extractWebsiteContactInfo
+ * @returns {Promise<Object|null>} - Contact information, or null if a browser is needed
+ */
+async function extractWebsiteContactInfoOverHttp(websiteUrl, options = {}) {
+  const homepage = await fetchHtml(websiteUrl, options);
+  if (!homepage) return null;
+  
+  if (isClientRendered(cheerio.load(homepage.html))) {
+    console.log(`${websiteUrl} is rendered client-side`);
+    return null;
+  }
+  
+  const pages = [];
+  await crawlSite(websiteUrl, {
+    ...options.crawl,
+    startPage: homepage,
+    fetchPage: url => fetchHtml(url, options),
+    fetchSitemap: url => fetchSitemap(url, options),
+    onPage: async ({ url, html, depth, priority }) => {
+      // A client-rendered subpage has nothing to read without a browser
+      if (depth > 0 && isClientRendered(cheerio.load(html))) return;
+      pages.push({ url, priority, info: extractContactInfoFromHtml(html, url) });
+    }
+  });
+  
+  const mergedContactInfo = mergeContactInfo(pages, homepage.url);
+  console.log(`Read ${pages.length} pages of ${websiteUrl} over HTTP`);
+  
+  // The contact page fallback is always set, so it does not count as a find
+  if (!mergedContactInfo.email && !mergedContactInfo.twitter && !mergedContactInfo.linkedin) {
+    return null;
+  }
+  
+  return mergedContactInfo;
+}
 
 /**
  * Extract contact information from a product website
  * @param {Object} browser - Puppeteer browser instance
  * @param {string} websiteUrl - URL of the product website
- * @returns {Object} - Contact information (email, twitter, linkedin, website)
+ * @param {Object} options - Extraction options
+ * @param {string} options.fetchMode - 'auto' (HTTP first, browser if needed), 'http' or 'browser'
+ * @param {Object} options.throttle - Host throttle that HTTP fetches are paced by
+ * @param {Object} options.crawl - { maxPages, maxDepth, timeLimitMs } bounds for crawling the site
+ * @returns {Object} - Contact information (email, twitter, linkedin, website), the page each was found on (sources) and every email found, best first (emails)
  */
-async function extractWebsiteContactInfo(browser, websiteUrl) {
+async function extractWebsiteContactInfo(browser, websiteUrl, options = {}) {
   if (!websiteUrl || !isValidUrl(websiteUrl)) {
     console.log(`Invalid website URL: ${websiteUrl}`);
     return { email: '', twitter: '', linkedin: '', website: '' };
@@ -16,11 +270,24 @@ async function extractWebsiteContactInfo(browser, websiteUrl) {
 
   console.log(`Extracting contact info from website: ${websiteUrl}`);
   
+  const fetchMode = options.fetchMode || 'auto';
+  if (fetchMode !== 'browser') {
+    const httpContactInfo = await extractWebsiteContactInfoOverHttp(websiteUrl, options);
+    if (httpContactInfo) {
+      console.log(`Extracted contact info over HTTP: ${websiteUrl}`);
+      return httpContactInfo;
+    }
+    if (fetchMode === 'http') {
+      return { email: '', twitter: '', linkedin: '', website: '' };
+    }
+    console.log(`HTTP fast path found nothing, opening ${websiteUrl} in the browser`);
+  }
+  
   // Create a new page
   const page = await browser.newPage();
   
   // Configure the page to appear more like a real browser
-  await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36');
+  await page.setUserAgent(USER_AGENT);
   
   // Set viewport to a common desktop resolution
   await page.setViewport({
@@ -151,47 +418,41 @@ async function extractWebsiteContactInfo(browser, websiteUrl) {
     // Wait for the page to fully load
     await delay(2000);
     
-    // After successful navigation, first try to find and visit contact page
-    let contactPageUrl = '';
-    try {
-      contactPageUrl = await page.evaluate(() => {
-        const contactLinks = Array.from(document.querySelectorAll('a')).filter(link => {
-          const href = link.href.toLowerCase();
-          const text = link.textContent.toLowerCase();
-          return (href.includes('/contact') || 
-                 href.includes('/about') || 
-                 href.includes('/support') || 
-                 text.includes('contact') || 
-                 text.includes('get in touch') ||
-                 text.includes('reach out')) &&
-                 !href.includes('#') && // Exclude anchor links
-                 !href.includes('javascript:'); // Exclude javascript: links
-        });
-        return contactLinks.length > 0 ? contactLinks[0].href : '';
-      });
-    } catch (error) {
-      console.log('Error finding contact page:', error.message);
-    }
-
-    let contactPageInfo = { email: '', twitter: '', linkedin: '', website: '' };
-    
-    // If contact page found, visit it first
-    if (contactPageUrl) {
-      console.log('Found contact page:', contactPageUrl);
-      try {
-        await page.goto(contactPageUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-        await delay(2000);
-        
-        // Extract from contact page
-        contactPageInfo = await extractContactInfoFromPage(page);
-        console.log('Contact info from contact page:', contactPageInfo);
-        
-        // Go back to main page
-        await page.goto(websiteUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-        await delay(2000);
-      } catch (error) {
-        console.log('Error processing contact page:', error.message);
+    // Crawl the rest of the site in this page - contact, team and legal
+    // pages from links, sitemap.xml and well-known paths
+    const homepageUrl = page.url();
+    const crawledPages = [];
+    await crawlSite(homepageUrl, {
+      ...options.crawl,
+      startPage: { url: homepageUrl, html: await page.content() },
+      fetchPage: async url => {
+        try {
+          const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+          if (response && response.status() >= 400) {
+            console.log(`Skipping ${url}: HTTP ${response.status()}`);
+            return null;
+          }
+          await delay(1000);
+          return { url: page.url(), html: await page.content() };
+        } catch (error) {
+          console.log(`Error loading ${url}: ${error.message}`);
+          return null;
+        }
+      },
+      fetchSitemap: url => fetchSitemap(url, options),
+      onPage: async ({ url, depth, priority }) => {
+        // The homepage is read below, once it has been scrolled
+        if (depth === 0) return;
+        crawledPages.push({ url, priority, info: await extractContactInfoFromPage(page) });
       }
+    });
+    
+    if (crawledPages.length > 0) {
+      console.log(`Read ${crawledPages.length} more pages of ${homepageUrl}`);
+      
+      // Go back to main page
+      await page.goto(homepageUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      await delay(2000);
     }
 
     // First extract contact info from the initial page load
@@ -214,34 +475,36 @@ async function extractWebsiteContactInfo(browser, websiteUrl) {
     // Extract contact info again after scrolling
     let footerContactInfo = await extractContactInfoFromPage(page);
 
-    // Merge all results, preferring non-empty values in this order:
-    // 1. Contact page info
-    // 2. Footer info
-    // 3. Initial page info
-    const mergedContactInfo = {
-      email: contactPageInfo.email || footerContactInfo.email || initialContactInfo.email || '',
-      twitter: contactPageInfo.twitter || footerContactInfo.twitter || initialContactInfo.twitter || '',
-      linkedin: contactPageInfo.linkedin || footerContactInfo.linkedin || initialContactInfo.linkedin || '',
-      website: contactPageInfo.website || footerContactInfo.website || initialContactInfo.website || ''
-    };
+    // Merge all results - the homepage after scrolling beats the initial
+    // load, and ranks against the crawled pages by page priority
+    const homepagePriority = getPagePriority(homepageUrl);
+    const mergedContactInfo = mergeContactInfo([
+      ...crawledPages,
+      { url: homepageUrl, priority: homepagePriority, info: footerContactInfo },
+      { url: homepageUrl, priority: homepagePriority, info: initialContactInfo }
+    ], homepageUrl);
 
     // If still no email found, try to extract from page source
     if (!mergedContactInfo.email) {
       const pageSource = await page.content();
-      const emailMatches = pageSource.match(/([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/gi);
-      if (emailMatches) {
-        // Filter and clean email matches
+      const emailMatches = extractEmails(pageSource);
+      if (emailMatches.length > 0) {
+        // Filter out placeholder addresses
         const validEmails = emailMatches
           .filter(email => {
             return !email.includes('example.com') &&
                    !email.includes('yourdomain.com') &&
                    !email.includes('domain.com') &&
                    email.length < 100; // Basic sanity check
-          })
-          .map(email => email.trim());
+          });
         
         if (validEmails.length > 0) {
-          mergedContactInfo.email = validEmails[0];
+          mergedContactInfo.emails = rankEmailCandidates(
+            validEmails.map(email => ({ email, sourcePage: homepageUrl, method: 'text' })),
+            { siteUrl: homepageUrl, preferredType: 'role' }
+          );
+          mergedContactInfo.email = mergedContactInfo.emails[0].email;
+          mergedContactInfo.sources.email = homepageUrl;
           console.log('Found email in page source:', mergedContactInfo.email);
         }
       }
@@ -293,187 +556,23 @@ async function extractContactInfoFromPage(page) {
   const content = await page.content();
   const $ = cheerio.load(content);
   
-  // Initialize contact info
-  let email = '';
-  let twitter = '';
-  let linkedin = '';
-  let website = '';
-  
-  // Look for footer sections
-  const footerSelectors = [
-    'footer', 
-    '[class*="footer"]', 
-    '#footer', 
-    '.footer', 
-    '[id*="footer"]',
-    '[class*="Footer"]',
-    '.bottom',
-    '.contact',
-    '.social',
-    '[class*="social"]',
-    '[class*="contact"]',
-    '.links',
-    '.connect',
-    '.follow-us',
-    '.follow',
-    '.legal',
-    // Additional selectors for common footer patterns
-    '[class*="bottom-section"]',
-    '[class*="site-info"]',
-    '[class*="site-footer"]',
-    '[class*="main-footer"]',
-    '[class*="page-footer"]',
-    '[class*="global-footer"]',
-    '[class*="site-bottom"]',
-    '[class*="copyright"]',
-    '[class*="socials"]',
-    '[class*="social-links"]',
-    '[class*="social-media"]',
-    '[class*="social-icons"]',
-    '[class*="contact-info"]',
-    '[class*="contact-us"]',
-    '[class*="get-in-touch"]',
-    // Additional common contact section selectors
-    '#contact',
-    '.contact-section',
-    '.contact-container',
-    '.contact-details',
-    '.contact-information',
-    '.contact-form-container',
-    '.contact-wrapper',
-    '.contact-block',
-    '.contact-area',
-    '.contact-content',
-    '.contact-box',
-    '.contact-card',
-    '.contact-panel',
-    '.contact-module',
-    '.contact-component',
-    '.contact-element',
-    '.contact-widget',
-    '.contact-unit',
-    '.contact-segment',
-    '.contact-division',
-    '.contact-part',
-    '.contact-piece',
-    '.contact-fragment',
-    '.contact-chunk',
-    '.contact-slice',
-    '.contact-portion',
-    '.contact-section',
-    '.contact-bit',
-    '.contact-item',
-    '.contact-entry',
-    '.contact-record',
-    '.contact-listing',
-    '.contact-detail',
-    '.contact-info-item',
-    '.contact-info-entry',
-    '.contact-info-record',
-    '.contact-info-listing',
-    '.contact-info-detail'
-  ];
-  
-  // First try to find links in the footer
-  let socialLinks = [];
-  
-  footerSelectors.forEach(selector => {
-    const footerElement = $(selector);
-    if (footerElement.length > 0) {
-      console.log(`Found footer element with selector: ${selector}`);
-      // Find all links in the footer
-      const links = footerElement.find('a');
-      links.each((_, link) => {
-        socialLinks.push($(link));
-      });
-    }
-  });
-  
-  // If no links found in footer, look throughout the page
-  if (socialLinks.length === 0) {
-    console.log('No footer links found, searching entire page');
-    const allLinks = $('a');
-    allLinks.each((_, link) => {
-      socialLinks.push($(link));
-    });
-  }
-  
-  console.log(`Found ${socialLinks.length} links to process`);
-  
-  // Process all links
-  for (const link of socialLinks) {
-    const href = link.attr('href');
-    const text = link.text().toLowerCase();
-    const html = link.html() || '';
-    
-    if (!href) continue;
-    
-    // Check for email links
-    if (href.startsWith('mailto:') && !email) {
-      email = href.replace('mailto:', '').trim().split('?')[0]; // Remove any parameters
-      console.log(`Found email: ${email}`);
-    }
-    
-    // Check for Twitter/X links
-    if ((href.includes('twitter.com') || href.includes('x.com') || 
-         text.includes('twitter') || text.includes('x.com') ||
-         html.includes('twitter') || html.includes('x-twitter') ||
-         html.includes('fa-twitter') || html.includes('icon-twitter') ||
-         html.includes('twitter-icon') || html.includes('twitter-logo') ||
-         html.includes('twitter.svg') || html.includes('x.svg') ||
-         html.includes('x-logo') || html.includes('x-icon')) && !twitter) {
-      twitter = extractSocialHandle(href, ['twitter.com', 'x.com']);
-      console.log(`Found Twitter: ${twitter}`);
-    }
-    
-    // Check for LinkedIn links
-    if ((href.includes('linkedin.com') || text.includes('linkedin') ||
-         html.includes('linkedin') || html.includes('fa-linkedin') ||
-         html.includes('icon-linkedin') || html.includes('linkedin-icon') ||
-         html.includes('linkedin-logo') || html.includes('linkedin.svg')) && !linkedin) {
-      linkedin = href;
-      console.log(`Found LinkedIn: ${linkedin}`);
-    }
-    
-    // Check for other website links that might be contact pages
-    if ((href.includes('/contact') || 
-         href.includes('/about') || 
-         href.includes('/support') || 
-         href.includes('/help') || 
-         text.includes('contact') || 
-         text.includes('get in touch') || 
-         text.includes('reach out') || 
-         text.includes('support')) && !website) {
-      // Make sure it's a full URL
-      if (href.startsWith('http')) {
-        website = href;
-      } else if (href.startsWith('/')) {
-        // Relative URL, convert to absolute
-        try {
-          const urlObj = new URL(page.url());
-          website = `${urlObj.origin}${href}`;
-        } catch (error) {
-          console.error(`Error creating absolute URL: ${error.message}`);
-          website = href; // Use the relative URL as fallback
-        }
-      }
-      console.log(`Found contact page: ${website}`);
-    }
-  }
+  // Start from the links - mailto, social profiles and the contact page
+  let { email, twitter, linkedin, website } = extractContactLinks($, page.url());
   
   // Enhanced email extraction
   if (!email) {
     console.log('Looking for email with enhanced extraction...');
     
-    // Use JavaScript to find emails in various page elements
-    const jsEmails = await page.evaluate(() => {
-      const emails = new Set();
+    // Use JavaScript to find text around an @ in various page elements -
+    // the addresses are read from it here, with the shared email extractor
+    const emailTokens = await page.evaluate(() => {
+      const tokens = new Set();
       
-      // Helper function to extract email from text
+      // Helper function to keep the words of a text that contain an @
       const extractEmailFromText = (text) => {
-        const matches = text.match(/([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/gi);
+        const matches = (text || '').match(/[^\s<>"'(),;:]+@[^\s<>"'(),;:]+/g);
         if (matches) {
-          matches.forEach(email => emails.add(email.toLowerCase()));
+          matches.forEach(token => tokens.add(token));
         }
       };
 
@@ -557,49 +656,24 @@ async function extractContactInfoFromPage(page) {
         }
       });
 
-      // Filter and prioritize emails
-      return Array.from(emails).filter(email => {
-        return !email.includes('example.com') &&
-               !email.includes('yourdomain.com') &&
-               !email.includes('domain.com') &&
-               !email.includes('test@') &&
-               !email.includes('user@') &&
-               !email.includes('email@') &&
-               email.length < 100;
-      });
+      return Array.from(tokens);
+    });
+
+    // Filter and prioritize emails
+    const jsEmails = Array.from(new Set(extractEmails(emailTokens.join(' ')))).filter(address => {
+      return !address.includes('example.com') &&
+             !address.includes('yourdomain.com') &&
+             !address.includes('domain.com') &&
+             !address.includes('test@') &&
+             !address.includes('user@') &&
+             !address.includes('email@') &&
+             address.length < 100;
     });
 
-    if (jsEmails && jsEmails.length > 0) {
-      // Prioritize business emails over generic ones
-      const businessEmails = jsEmails.filter(email =>
-        !email.includes('gmail.com') &&
-        !email.includes('yahoo.com') &&
-        !email.includes('hotmail.com') &&
-        !email.includes('outlook.com') &&
-        !email.includes('icloud.com') &&
-        !email.includes('aol.com') &&
-        !email.includes('protonmail.com') &&
-        !email.includes('mail.com')
-      );
-
-      if (businessEmails.length > 0) {
-        // Further prioritize common business email patterns
-        const priorityEmails = businessEmails.filter(email =>
-          email.startsWith('contact@') ||
-          email.startsWith('info@') ||
-          email.startsWith('hello@') ||
-          email.startsWith('support@') ||
-          email.startsWith('help@') ||
-          email.startsWith('sales@') ||
-          email.startsWith('business@') ||
-          email.startsWith('team@')
-        );
-
-        email = priorityEmails.length > 0 ? priorityEmails[0] : businessEmails[0];
-        console.log('Found business email:', email);
-      } else {
-        email = jsEmails[0];
-        console.log('Found generic email:', email);
+    if (jsEmails.length > 0) {
+      email = pickBestEmail(jsEmails);
+      if (email) {
+        console.log('Found email:', email);
       }
     }
   }
@@ -700,16 +774,8 @@ async function extractContactInfoFromPage(page) {
     
     // Use page.evaluate to find contact info
     const jsContactInfo = await page.evaluate(() => {
-      const result = { email: '', twitter: '', linkedin: '', website: '' };
-      
-      // Look for email addresses in the page
-      const emailRegex = /\b([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)\b/gi;
-      const pageText = document.body.innerText;
-      const emailMatches = pageText.match(emailRegex);
-      
-      if (emailMatches && emailMatches.length > 0) {
-        result.email = emailMatches[0];
-      }
+      // Texts that may hold an address, in order of preference
+      const result = { emailTexts: [document.body.innerText], twitter: '', linkedin: '', website: '' };
       
       // Look for social links
       const links = Array.from(document.querySelectorAll('a[href]'));
@@ -730,9 +796,8 @@ async function extractContactInfoFromPage(page) {
       const elementsWithDataEmail = document.querySelectorAll('[data-email], [data-mail]');
       for (const element of elementsWithDataEmail) {
         const dataEmail = element.getAttribute('data-email') || element.getAttribute('data-mail');
-        if (dataEmail && dataEmail.includes('@') && !result.email) {
-          result.email = dataEmail;
-          break;
+        if (dataEmail && dataEmail.includes('@')) {
+          result.emailTexts.push(dataEmail);
         }
       }
       
@@ -740,8 +805,9 @@ async function extractContactInfoFromPage(page) {
     });
     
     // Update contact info with JavaScript results
-    if (jsContactInfo.email && !email) {
-      email = jsContactInfo.email;
+    const jsEmail = extractEmails(jsContactInfo.emailTexts.join('\n'))[0];
+    if (jsEmail && !email) {
+      email = jsEmail;
       console.log(`Found email with JavaScript: ${email}`);
     }
     
@@ -766,18 +832,14 @@ async function extractContactInfoFromPage(page) {
     console.log('Trying additional DOM patterns for contact info...');
     
     const domContactInfo = await page.evaluate(() => {
-      const result = { email: '', twitter: '', linkedin: '' };
+      const result = { emailTokens: [], twitter: '', linkedin: '' };
       
-      // Check for obfuscated emails (common technique to avoid scrapers)
+      // Check for emails in scripts (common technique to avoid scrapers)
       const scriptTags = document.querySelectorAll('script');
       for (const script of scriptTags) {
         const content = script.textContent || '';
-        if (content.includes('mailto:') || content.includes('@')) {
-          const emailMatch = content.match(/([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/);
-          if (emailMatch && emailMatch[1] && !result.email) {
-            result.email = emailMatch[1];
-            break;
-          }
+        if (content.includes('@')) {
+          result.emailTokens.push(...(content.match(/[^\s<>"'(),;:]+@[^\s<>"'(),;:]+/g) || []));
         }
       }
       
@@ -806,8 +868,9 @@ async function extractContactInfoFromPage(page) {
     });
     
     // Update with DOM pattern results
-    if (domContactInfo.email && !email) {
-      email = domContactInfo.email;
+    const domEmail = extractEmails(domContactInfo.emailTokens.join(' '))[0];
+    if (domEmail && !email) {
+      email = domEmail;
       console.log(`Found email from DOM patterns: ${email}`);
     }
     
@@ -938,9 +1001,249 @@ async function extractContactInfoFromPage(page) {
     }
   }
   
+  // Every address on the page, for ranking across the site - including
+  // obfuscated ones the checks above cannot read
+  const emails = collectEmailCandidates($, page.url());
+  if (!email && emails.length > 0) {
+    email = pickBestEmail(emails.map(candidate => candidate.email));
+    if (email) {
+      console.log(`Found email after deobfuscation: ${email}`);
+    }
+  }
+  
+  return { email, twitter, linkedin, website, emails };
+}
+
+/**
+ * Read contact details from a page's links - mailto links, social profiles
+ * and the contact page - looking in the footer first
+ * @param {Object} $ - Cheerio document
+ * @param {string} pageUrl - URL the document was loaded from
+ * @returns {Object} - Contact information (email, twitter, linkedin, website)
+ */
+function extractContactLinks($, pageUrl) {
+  // Initialize contact info
+  let email = '';
+  let twitter = '';
+  let linkedin = '';
+  let website = '';
+  
+  // Look for footer sections
+  const footerSelectors = [
+    'footer', 
+    '[class*="footer"]', 
+    '#footer', 
+    '.footer', 
+    '[id*="footer"]',
+    '[class*="Footer"]',
+    '.bottom',
+    '.contact',
+    '.social',
+    '[class*="social"]',
+    '[class*="contact"]',
+    '.links',
+    '.connect',
+    '.follow-us',
+    '.follow',
+    '.legal',
+    // Additional selectors for common footer patterns
+    '[class*="bottom-section"]',
+    '[class*="site-info"]',
+    '[class*="site-footer"]',
+    '[class*="main-footer"]',
+    '[class*="page-footer"]',
+    '[class*="global-footer"]',
+    '[class*="site-bottom"]',
+    '[class*="copyright"]',
+    '[class*="socials"]',
+    '[class*="social-links"]',
+    '[class*="social-media"]',
+    '[class*="social-icons"]',
+    '[class*="contact-info"]',
+    '[class*="contact-us"]',
+    '[class*="get-in-touch"]',
+    // Additional common contact section selectors
+    '#contact',
+    '.contact-section',
+    '.contact-container',
+    '.contact-details',
+    '.contact-information',
+    '.contact-form-container',
+    '.contact-wrapper',
+    '.contact-block',
+    '.contact-area',
+    '.contact-content',
+    '.contact-box',
+    '.contact-card',
+    '.contact-panel',
+    '.contact-module',
+    '.contact-component',
+    '.contact-element',
+    '.contact-widget',
+    '.contact-unit',
+    '.contact-segment',
+    '.contact-division',
+    '.contact-part',
+    '.contact-piece',
+    '.contact-fragment',
+    '.contact-chunk',
+    '.contact-slice',
+    '.contact-portion',
+    '.contact-section',
+    '.contact-bit',
+    '.contact-item',
+    '.contact-entry',
+    '.contact-record',
+    '.contact-listing',
+    '.contact-detail',
+    '.contact-info-item',
+    '.contact-info-entry',
+    '.contact-info-record',
+    '.contact-info-listing',
+    '.contact-info-detail'
+  ];
+  
+  // First try to find links in the footer
+  let socialLinks = [];
+  
+  footerSelectors.forEach(selector => {
+    const footerElement = $(selector);
+    if (footerElement.length > 0) {
+      console.log(`Found footer element with selector: ${selector}`);
+      // Find all links in the footer
+      const links = footerElement.find('a');
+      links.each((_, link) => {
+        socialLinks.push($(link));
+      });
+    }
+  });
+  
+  // If no links found in footer, look throughout the page
+  if (socialLinks.length === 0) {
+    console.log('No footer links found, searching entire page');
+    const allLinks = $('a');
+    allLinks.each((_, link) => {
+      socialLinks.push($(link));
+    });
+  }
+  
+  console.log(`Found ${socialLinks.length} links to process`);
+  
+  // Process all links
+  for (const link of socialLinks) {
+    const href = link.attr('href');
+    const text = link.text().toLowerCase();
+    const html = link.html() || '';
+    
+    if (!href) continue;
+    
+    // Check for email links
+    if (href.startsWith('mailto:') && !email) {
+      email = href.replace('mailto:', '').trim().split('?')[0]; // Remove any parameters
+      console.log(`Found email: ${email}`);
+    }
+    
+    // Check for Twitter/X links
+    if ((href.includes('twitter.com') || href.includes('x.com') || 
+         text.includes('twitter') || text.includes('x.com') ||
+         html.includes('twitter') || html.includes('x-twitter') ||
+         html.includes('fa-twitter') || html.includes('icon-twitter') ||
+         html.includes('twitter-icon') || html.includes('twitter-logo') ||
+         html.includes('twitter.svg') || html.includes('x.svg') ||
+         html.includes('x-logo') || html.includes('x-icon')) && !twitter) {
+      twitter = extractSocialHandle(href, ['twitter.com', 'x.com']);
+      console.log(`Found Twitter: ${twitter}`);
+    }
+    
+    // Check for LinkedIn links
+    if ((href.includes('linkedin.com') || text.includes('linkedin') ||
+         html.includes('linkedin') || html.includes('fa-linkedin') ||
+         html.includes('icon-linkedin') || html.includes('linkedin-icon') ||
+         html.includes('linkedin-logo') || html.includes('linkedin.svg')) && !linkedin) {
+      linkedin = href;
+      console.log(`Found LinkedIn: ${linkedin}`);
+    }
+    
+    // Check for other website links that might be contact pages
+    if ((href.includes('/contact') || 
+         href.includes('/about') || 
+         href.includes('/support') || 
+         href.includes('/help') || 
+         text.includes('contact') || 
+         text.includes('get in touch') || 
+         text.includes('reach out') || 
+         text.includes('support')) && !website) {
+      // Make sure it's a full URL
+      if (href.startsWith('http')) {
+        website = href;
+      } else if (href.startsWith('/')) {
+        // Relative URL, convert to absolute
+        try {
+          const urlObj = new URL(pageUrl);
+          website = `${urlObj.origin}${href}`;
+        } catch (error) {
+          console.error(`Error creating absolute URL: ${error.message}`);
+          website = href; // Use the relative URL as fallback
+        }
+      }
+      console.log(`Found contact page: ${website}`);
+    }
+  }
+  
   return { email, twitter, linkedin, website };
 }
 
+/**
+ * Pick the most useful address from the emails found on a page
+ * Placeholder addresses are dropped; business domains beat free mail
+ * providers and contact@/info@/hello@ style inboxes beat the rest.
+ * @param {Array} emails - Candidate addresses in page order
+ * @returns {string} - Best address, or '' if none is usable
+ */
+function pickBestEmail(emails) {
+  const candidates = emails
+    .map(email => email.trim().toLowerCase())
+    .filter(email => {
+      return !email.includes('example.com') &&
+             !email.includes('yourdomain.com') &&
+             !email.includes('domain.com') &&
+             !email.includes('test@') &&
+             !email.includes('user@') &&
+             !email.includes('email@') &&
+             email.length < 100;
+    });
+  
+  // Prioritize business emails over generic ones
+  const businessEmails = candidates.filter(email =>
+    !email.includes('gmail.com') &&
+    !email.includes('yahoo.com') &&
+    !email.includes('hotmail.com') &&
+    !email.includes('outlook.com') &&
+    !email.includes('icloud.com') &&
+    !email.includes('aol.com') &&
+    !email.includes('protonmail.com') &&
+    !email.includes('mail.com')
+  );
+  
+  if (businessEmails.length === 0) {
+    return candidates[0] || '';
+  }
+  
+  // Further prioritize common business email patterns
+  const priorityEmails = businessEmails.filter(email =>
+    email.startsWith('contact@') ||
+    email.startsWith('info@') ||
+    email.startsWith('hello@') ||
+    email.startsWith('support@') ||
+    email.startsWith('help@') ||
+    email.startsWith('sales@') ||
+    email.startsWith('business@') ||
+    email.startsWith('team@')
+  );
+  
+  return priorityEmails.length > 0 ? priorityEmails[0] : businessEmails[0];
+}
+
 /**
  * Extract social media handle from URL
  * @param {string} url - Social media URL